@@ -4,47 +4,169 @@
 // License::   GNU GPL version 2
 
 var util = require('util');
+var fs = require('fs');
+var path = require('path');
+var child_process = require('child_process');
 var underscore = require('./dependencies/underscore')['_'];
 
 const VERSION = "1.15";
 
+// Copies the interesting bits of +details+ onto an error instance. Every
+// error raised by the parser carries the same set of fields, so callers
+// can inspect them without caring about the concrete class.
+var fill_error_details = function(err, name, message, details) {
+  if( Error.captureStackTrace ) {
+    Error.captureStackTrace(err, err.constructor);
+  }
+  details = details || {};
+  err.name = name;
+  err.message = message;
+  err.option = details.option || null;       // the option's name, as given to #opt
+  err.arg = details.arg || null;             // the option as written on the commandline, e.g. '--num'
+  err.token = ('token' in details) ? details.token : null; // the offending argv token
+  err.index = ('index' in details) ? details.index : null; // its position in argv
+  err.expected = details.expected || null;   // the expected type, if any
+};
+
 // Thrown by Parser in the event of a commandline error. Not needed if
-// you're using the Trollop:'options' entry.
-var CommandLineError = new Error('Command line error');
+// you're using the Trollop:'options' entry. All the more specific
+// commandline errors below inherit from this one.
+var CommandLineError = exports.CommandLineError = function(message, details) {
+  fill_error_details(this, 'CommandLineError', message, details);
+};
+util.inherits(CommandLineError, Error);
+
+// Thrown when an option that was never defined appears on the commandline.
+// +suggestions+ lists the options it may have been a typo for, closest
+// first, e.g. ['--verbose'].
+var UnknownOptionError = exports.UnknownOptionError = function(message, details) {
+  fill_error_details(this, 'UnknownOptionError', message, details);
+  this.suggestions = (details && details.suggestions) || [];
+};
+util.inherits(UnknownOptionError, CommandLineError);
+
+// Thrown when the word where a command (see Parser#command) should be
+// isn't one. Like UnknownOptionError, it has +suggestions+.
+var UnknownCommandError = exports.UnknownCommandError = function(message, details) {
+  fill_error_details(this, 'UnknownCommandError', message, details);
+  this.suggestions = (details && details.suggestions) || [];
+};
+util.inherits(UnknownCommandError, CommandLineError);
+
+// Thrown when an abbreviated long option could stand for more than one
+// option. +candidates+ lists them, e.g. ['--verbose', '--version'].
+var AmbiguousOptionError = exports.AmbiguousOptionError = function(message, details) {
+  fill_error_details(this, 'AmbiguousOptionError', message, details);
+  this.candidates = (details && details.candidates) || [];
+};
+util.inherits(AmbiguousOptionError, CommandLineError);
+
+// Thrown when an option that takes a parameter is given without one.
+var MissingParameterError = exports.MissingParameterError = function(message, details) {
+  fill_error_details(this, 'MissingParameterError', message, details);
+};
+util.inherits(MissingParameterError, CommandLineError);
+
+// Thrown when a parameter can't be converted to the option's type.
+var InvalidValueError = exports.InvalidValueError = function(message, details) {
+  fill_error_details(this, 'InvalidValueError', message, details);
+};
+util.inherits(InvalidValueError, CommandLineError);
+
+// Thrown when a required option is missing, or a #depends or #conflicts
+// constraint isn't met. +constraint+ is one of 'required', 'depends' or
+// 'conflicts', and +related+ names the other option involved, if any.
+var ConstraintViolationError = exports.ConstraintViolationError = function(message, details) {
+  fill_error_details(this, 'ConstraintViolationError', message, details);
+  this.constraint = (details && details.constraint) || null;
+  this.related = (details && details.related) || null;
+};
+util.inherits(ConstraintViolationError, CommandLineError);
+
+// Thrown by #opt, #depends and #conflicts when the option specification
+// itself is invalid. This is a programming error, not a user error, so it
+// is not a CommandLineError.
+var SpecError = exports.SpecError = function(message, details) {
+  fill_error_details(this, 'SpecError', message, details);
+};
+util.inherits(SpecError, Error);
 
 // Thrown by Parser if the user passes in '-h' or '--help'. Handled
-// automatically by Trollop#options.
-var HelpNeeded = new Error('Help Needed');
+// automatically by Trollop#options. +parser+ is the one whose help is
+// wanted, which is a command's for e.g. 'magic copy --help'.
+var HelpNeeded = exports.HelpNeeded = function(parser) {
+  fill_error_details(this, 'HelpNeeded', 'Help needed');
+  this.parser = parser || null;
+};
+util.inherits(HelpNeeded, Error);
 
 // Thrown by Parser if the user passes in '-v' or '--version'. Handled
 // automatically by Trollop#options.
-var VersionNeeded = new Error('Version needed');
+var VersionNeeded = exports.VersionNeeded = function(parser) {
+  fill_error_details(this, 'VersionNeeded', 'Version needed');
+  this.parser = parser || null;
+};
+util.inherits(VersionNeeded, Error);
 
 
 // Regex for floating point numbers
 const FLOAT_RE = /^-?((\d+(\.\d+)?)|(\.\d+))$/;
 
-// Regex for parameters
+// Regex for integers: decimal, or hex (0x1F), octal (0o755) or binary
+// (0b1010), with optional underscores between digits (1_000_000).
+const INTEGER_RE = /^([-+]?)(?:0x([\da-f]+(?:_[\da-f]+)*)|0o([0-7]+(?:_[0-7]+)*)|0b([01]+(?:_[01]+)*)|(\d+(?:_\d+)*))$/i;
+
+// Regex for parameters, i.e. arguments that look like options. Negative
+// numbers don't match, so they can be taken as values, and otherwise end
+// up in the leftovers (short options can't be digits anyway).
 const PARAM_RE = /^-(-|\.$|[^\d\.])/;
 
 // The set of values that indicate a flag option when passed as the
 // +'type'+ parameter of #opt.
 const FLAG_TYPES = ['flag', 'bool', 'boolean'];
 
+// The value of +'type'+ for an option that takes no parameter, and whose
+// value is the number of times it was given, e.g. 3 for -vvv.
+const COUNT_TYPE = 'count';
+
 // The set of values that indicate a single-parameter (normal) option when
 // passed as the +'type'+ parameter of #opt.
 //
-// A value of +io+ corresponds to a readable IO resource, including
-// a filename, URI, or the strings 'stdin' or '-'.
-const SINGLE_ARG_TYPES = ['int', 'integer', 'string', 'double', 'float', 'date'];
+// A value of +duration+ is a length of time like 90s, 1h30m or 250ms,
+// given to you in milliseconds. A value of +size+ is an amount of data
+// like 512K, 10MB or 1.5GiB, given to you in bytes.
+//
+// A value of +io+ corresponds to a readable IO resource, i.e. a filename
+// or the strings 'stdin' or '-'. A value of +output+ corresponds to a
+// writable one: a filename or 'stdout', 'stderr' or '-'. Both are given
+// to you as a LazyStream.
+const SINGLE_ARG_TYPES = ['int', 'integer', 'string', 'double', 'float', 'date', 'io', 'output', 'duration', 'size'];
 
 // The set of values that indicate a multiple-parameter option (i.e., that
 // takes multiple space-separated values on the commandline) when passed as
 // the +'type'+ parameter of #opt.
-const MULTI_ARG_TYPES = ['ints', 'integers', 'strings', 'doubles', 'floats', 'dates'];
+const MULTI_ARG_TYPES = ['ints', 'integers', 'strings', 'doubles', 'floats', 'dates', 'ios', 'outputs', 'durations', 'sizes'];
+
+// The types whose +'default'+ may be given as a string (or strings), which
+// is converted like a value from the commandline. Registered types (see
+// Trollop:'registerType') work the same way.
+const STRING_DEFAULT_TYPES = ['date', 'dates', 'io', 'ios', 'output', 'outputs', 'duration', 'durations', 'size', 'sizes'];
+
+// The types whose values are numbers of some unit, so that they can also
+// be given a number as their +'default'+, +'min'+ or +'max'+.
+const UNIT_TYPES = ['duration', 'durations', 'size', 'sizes'];
+
+// The types that can be given +'min'+ and +'max'+ bounds.
+const NUMERIC_TYPES = ['int', 'ints', 'float', 'floats', 'duration', 'durations', 'size', 'sizes'];
+
+// The value of +'type'+ for an option that collects key=value pairs into an
+// object, e.g. -D name=foo,debug. Given as 'map:<type>' (e.g. 'map:int'),
+// the values are converted to any single-parameter type; plain 'map' means
+// strings, and a key without a value is +true+.
+const MAP_TYPE = 'map';
 
 // The complete set of legal values for the +'type'+ parameter of #opt.
-const TYPES = [].concat(FLAG_TYPES, SINGLE_ARG_TYPES, MULTI_ARG_TYPES);
+const TYPES = [].concat(FLAG_TYPES, [COUNT_TYPE, MAP_TYPE], SINGLE_ARG_TYPES, MULTI_ARG_TYPES);
 
 const INVALID_SHORT_ARG_REGEX = /[\d-]/
 
@@ -66,6 +188,18 @@ var Parser = exports.Parser = function() {
   this.constraints = [];
   this.stop_words = [];
   this._stop_on_unknown = false;
+  this._allow_abbreviations = true;
+  this._suggestion_distance = 2;
+  this._width = null;
+  this._program = null;
+  this.commands = {};
+  this._command_names = {};
+  this._parent = null;
+  this._command = null;
+  this._handler = null;
+  this._plugins = null;
+  this._validators = [];
+  this._types = {};
 
   if( arguments.length > 0 && arguments[0].length > 0 ) {
     var args =  arguments[0];
@@ -83,9 +217,21 @@ var Parser = exports.Parser = function() {
 //
 // [+:long+] Specify the long form of the argument, i.e. the form with two dashes. If unspecified, will be automatically derived based on the argument name by turning the +name+ option into a string, and replacing any _'s by -'s.
 // [+:short+] Specify the short form of the argument, i.e. the form with one dash. If unspecified, will be automatically derived from +name+.
-// [+:type+] Require that the argument take a parameter or parameters of type +type+. For a single parameter, the value can be a member of +SINGLE_ARG_TYPES+, or a corresponding Ruby class (e.g. +Integer+ for +:int+). For multiple-argument parameters, the value can be any member of +MULTI_ARG_TYPES+ constant. If unset, the default argument type is +:flag+, meaning that the argument does not take a parameter. The specification of +:type+ is not necessary if a +:default+ is given.
-// [+:default+] Set the default value for an argument. Without a default value, the hash returned by #parse (and thus Trollop::options) will have a +nil+ value for this key unless the argument is given on the commandline. The argument type is derived automatically from the class of the default value given, so specifying a +:type+ is not necessary if a +:default+ is given. (But see below for an important caveat when +:multi+: is specified too.) If the argument is a flag, and the default is set to +true+, then if it is specified on the the commandline the value will be +false+.
+// [+:type+] Require that the argument take a parameter or parameters of type +type+. For a single parameter, the value can be a member of +SINGLE_ARG_TYPES+, or a corresponding Ruby class (e.g. +Integer+ for +:int+). For multiple-argument parameters, the value can be any member of +MULTI_ARG_TYPES+ constant. Types added with #registerType or Trollop:'registerType' (and their plurals) can be used too. A +:type+ of +'map'+ or +'map:<type>'+ (e.g. +'map:int'+) collects key=value pairs into an object, and may be given more than once. If unset, the default argument type is +:flag+, meaning that the argument does not take a parameter. The specification of +:type+ is not necessary if a +:default+ is given.
+// [+:default+] Set the default value for an argument. Without a default value, the hash returned by #parse (and thus Trollop::options) will have a +nil+ value for this key unless the argument is given on the commandline. The argument type is derived automatically from the class of the default value given, so specifying a +:type+ is not necessary if a +:default+ is given. (But see below for an important caveat when +:multi+: is specified too.)
+// [+:decrements+] For counts only. The name of another (earlier) count option that every occurrence of this one counts down, e.g. a --quiet for a --verbose. The option's own value is still its number of occurrences.
+// [+:negatable+] For flags only. Unless set to +false+, the flag can also be given as --no-<long>. --<long> always sets the value to +true+ and --no-<long> to +false+, whatever the default is; if both are given, the last one wins. Flags defaulting to +true+ are shown as --[no-]<long> in the help.
 // [+:required+] If set to +true+, the argument must be provided on the commandline.
+// [+:min+, +:max+] For numeric options only. Bounds every value given on the commandline must lie within (inclusive). They're mentioned in the help.
+// [+:optional+] For single-parameter options only. If set to +true+, the option may be given without a parameter, as in plain --color, and its value is then +:const+ (+nil+ unless given). A parameter must be attached, as in --color=always: one in the next argument is left alone, as it would be a positional argument. Shown as --color[=<s>] in the help.
+// [+:const+] The value of an +:optional+ option given without a parameter, e.g. 'auto'. Giving a +:const+ makes the option +:optional+.
+// [+:nargs+] For multiple-parameter options only (also called +:arity+). How many parameters the option takes: exactly +n+ (e.g. 2), a range like '1..3' or '2..', '+' for one or more (the default) or '*' for any number, none included. Parameters beyond the most it takes are left for the next option or the leftovers.
+// [+:separator+] For options that take parameters. The option takes a single parameter, which is split on +separator+ (e.g. ',') into an array of values of +:type+, so that "--tags a,b,c" gives ['a', 'b', 'c']. A backslash escapes the separator.
+// [+:unique+, +:min_count+, +:max_count+] For options with a +:separator+ or a multiple-parameter +:type+. If +:unique+ is set to +true+, repeated values are dropped (the first one is kept); each occurrence of the option must then have between +:min_count+ and +:max_count+ values.
+// [+:choices+] For string options only. An array of the values the option accepts; anything else is an error. The choices are shown in the help in place of <s>. If no +:type+ or +:default+ is given, +:string+ is assumed.
+// [+:case_sensitive+] If set to +false+, +:choices+ are matched ignoring case, and the value is returned as spelt in +:choices+.
+// [+:formats+] For date options only. Extra formats (besides ISO-8601 and relative dates like 'yesterday') the date may be given in, e.g. 'DD.MM.YYYY'. See #_parse_date_parameter.
+// [+:timezone+] For date options only. The timezone dates without one are in: 'local' (the default), 'UTC' or an offset like '+02:00'.
 // [+:multi+] If set to +true+, allows multiple occurrences of the option on the commandline. Otherwise, only a single instance of the option is allowed. (Note that this is different from taking multiple parameters. See below.)
 //
 // Note that there are two types of argument multiplicity: an argument
@@ -129,10 +275,11 @@ Parser.prototype.opt = function(name, _desc, _opts) {
   }
 
   if( name in this.specs ) {
-    throw "You already have an argument named '" + name + "'";
+    throw new SpecError("You already have an argument named '" + name + "'", {option: name});
   }
 
   // fill in :type
+  var custom = null;
   if( 'type' in opts ) {
     if( opts.type.constructor == String )
     {
@@ -154,8 +301,15 @@ Parser.prototype.opt = function(name, _desc, _opts) {
         opts.type = 'floats';
         break;
       default:
-        if(!underscore.include(TYPES, opts.type)) {
-          throw "unsupported argument type '"+opts.type+"'";
+        if( m = opts.type.match(/^map:(.*)$/) ) {
+          opts.type = MAP_TYPE;
+          opts.value_type = {integer: 'int', double: 'float'}[m[1]] || m[1];
+          if( !this._single_arg_type(opts.value_type) ) {
+            throw new SpecError("unsupported map value type '"+m[1]+"'", {option: name});
+          }
+        }
+        else if(!underscore.include(TYPES, opts.type) && !this._custom_type(opts.type)) {
+          throw new SpecError("unsupported argument type '"+opts.type+"'", {option: name});
         }
       }
     }
@@ -171,8 +325,14 @@ Parser.prototype.opt = function(name, _desc, _opts) {
     else if(opts.type == Date) {
       opts.type = "date";
     }
+    else if(opts.type == Object) {
+      opts.type = MAP_TYPE;
+    }
+    else if( custom = this._custom_type_for(function(t) { return t.klass === opts.type; }) ) {
+      opts.type = custom.name;
+    }
     else {
-      throw "unsupported argument type '"+opts.type+"'";
+      throw new SpecError("unsupported argument type '"+opts.type+"'", {option: name});
     }
   }
   else {
@@ -194,7 +354,7 @@ Parser.prototype.opt = function(name, _desc, _opts) {
     var type_from_default = null;
   }
   else if( disambiguated_default.constructor == Number ) {
-    if( (disambiguated_default+'').match(/^[0-9]+$/) ) {
+    if( (disambiguated_default+'').match(/^-?[0-9]+$/) ) {
       var type_from_default = 'int';
     }
     else {
@@ -212,11 +372,11 @@ Parser.prototype.opt = function(name, _desc, _opts) {
   }
   else if( disambiguated_default.constructor == Array ) {
     if( opts.dflt.length < 1 ) {
-      throw "multiple argument type cannot be deduced from an empty Array";
+      throw new SpecError("multiple argument type cannot be deduced from an empty Array", {option: name});
     }
 
     if( opts.dflt[0] && opts.dflt[0].constructor == Number ) {
-      if( (opts.dflt[0]+'').match(/^[0-9]+$/) ) {
+      if( (opts.dflt[0]+'').match(/^-?[0-9]+$/) ) {
         var type_from_default = 'ints';
       }
       else {
@@ -229,57 +389,75 @@ Parser.prototype.opt = function(name, _desc, _opts) {
     else if( opts.dflt[0].constructor == Date ) {
       var type_from_default = 'dates';
     }
+    else if( custom = this._custom_type_for(function(t) { return t.klass && opts.dflt[0] instanceof t.klass; }) ) {
+      var type_from_default = custom.plural;
+    }
     else {
-      throw "unsupported multiple argument type";
+      throw new SpecError("unsupported multiple argument type", {option: name});
     }
   }
+  else if( custom = this._custom_type_for(function(t) { return t.klass && disambiguated_default instanceof t.klass; }) ) {
+    var type_from_default = custom.name;
+  }
+  else if( disambiguated_default.constructor == Object ) {
+    var type_from_default = MAP_TYPE;
+  }
   else {
-    throw "unsupported argument type";
+    throw new SpecError("unsupported argument type", {option: name});
   }
 
-  if(opts.type && type_from_default && opts.type != type_from_default) {
-    throw "type specification and default type don't match (default type is "+type_from_default+")";
+  if(opts.type && type_from_default && opts.type != type_from_default &&
+     !(this._string_default_type(opts.type) && underscore.include(['string', 'strings'], type_from_default)) &&
+     !(underscore.include(UNIT_TYPES, opts.type) && underscore.include(NUMERIC_TYPES, type_from_default)) &&
+     !(opts.type == COUNT_TYPE && type_from_default == 'int') &&
+     !(opts.separator && (typeof opts.dflt == 'string' || this._plural_type(opts.type) == this._plural_type(type_from_default)))) {
+    throw new SpecError("type specification and default type don't match (default type is "+type_from_default+")", {option: name});
   }
 
-  opts.type = opts.type || type_from_default || 'flag';
+  opts.type = opts.type || type_from_default || (opts.choices ? 'string' : 'flag');
 
   if( !opts.type ) {
     opts.type = 'flag';
   }
 
-  // fill in :long
-  opts.long = !(typeof opts.long == 'undefined' || opts.long === null) ? (opts.long+'') : (name+'').replace(/_/g, '-');
-  if( m = opts.long.match(/^--([^-].*)$/) ) {
-    opts.long = m[1];
-  }
-  else if( opts.long.match(/^[^-]/) ) {
-    opts.long = opts.long;
+  // fill in :long and :short. positional arguments (see #arg) have neither.
+  if( opts.positional ) {
+    opts.long = opts.short = null;
   }
   else {
-    throw "invalid long option name " + opts.long;
-  }
-
-  if(opts.long in this.long) {
-    throw "long option name "+opts.long+" is already taken; please specify a (different) long";
-  }
+    opts.long = !(typeof opts.long == 'undefined' || opts.long === null) ? (opts.long+'') : (name+'').replace(/_/g, '-');
+    if( m = opts.long.match(/^--([^-].*)$/) ) {
+      opts.long = m[1];
+    }
+    else if( opts.long.match(/^[^-]/) ) {
+      opts.long = opts.long;
+    }
+    else {
+      throw new SpecError("invalid long option name " + opts.long, {option: name});
+    }
 
-  // fill in :short
-  if( typeof opts.short == 'undefined' || opts.short === null || opts.short == 'none' || opts.short.match(/^.$/) ) {
-    opts.short = opts.short;
-  }
-  else if( m = opts.short.match(/^-(.)$/) ) {
-    opts.short = m[1];
-  }
-  else {
-    throw "invalid short option name '" + opts.short + "'";
-  }
+    if(opts.long in this.long) {
+      throw new SpecError("long option name "+opts.long+" is already taken; please specify a (different) long", {option: name});
+    }
 
-  if(opts.short) {
-    if(this.short[opts.short]) {
-      throw "short option name " + opts.short +" is already taken; please specify a (different) short";
+    // fill in :short
+    if( typeof opts.short == 'undefined' || opts.short === null || opts.short == 'none' || opts.short.match(/^.$/) ) {
+      opts.short = opts.short;
+    }
+    else if( m = opts.short.match(/^-(.)$/) ) {
+      opts.short = m[1];
+    }
+    else {
+      throw new SpecError("invalid short option name '" + opts.short + "'", {option: name});
     }
-    if(opts.short.match(INVALID_SHORT_ARG_REGEX)) {
-      throw "a short option name can't be a number or a dash";
+
+    if(opts.short) {
+      if(this.short[opts.short]) {
+        throw new SpecError("short option name " + opts.short +" is already taken; please specify a (different) short", {option: name});
+      }
+      if(opts.short.match(INVALID_SHORT_ARG_REGEX)) {
+        throw new SpecError("a short option name can't be a number or a dash", {option: name});
+      }
     }
   }
 
@@ -288,6 +466,28 @@ Parser.prototype.opt = function(name, _desc, _opts) {
     opts.dflt = false;
   }
 
+  // fill in :default for counts, and the value type for maps
+  if( (opts.type == COUNT_TYPE || opts.type == MAP_TYPE) && opts.multi ) {
+    throw new SpecError("a "+opts.type+" can't be 'multi'; it may always be given more than once", {option: name});
+  }
+  if( opts.type == COUNT_TYPE ) {
+    opts.dflt = opts.dflt || 0;
+  }
+  if( opts.type == MAP_TYPE ) {
+    opts.value_type = opts.value_type || 'string';
+  }
+  if( typeof opts.decrements == 'undefined' || opts.decrements === null ) {
+    opts.decrements = null;
+  }
+  else {
+    if( opts.type != COUNT_TYPE ) {
+      throw new SpecError("'decrements' can only be given for count options", {option: name});
+    }
+    if( !this.specs[opts.decrements] || this.specs[opts.decrements].type != COUNT_TYPE ) {
+      throw new SpecError("'decrements' must name a count option defined before this one", {option: name});
+    }
+  }
+
   // autobox :default for :multi (multi-occurrence) arguments
   if(opts.dflt && opts.multi && opts.dflt.constructor != Array) {
     opts.dflt = [opts.dflt];
@@ -296,13 +496,583 @@ Parser.prototype.opt = function(name, _desc, _opts) {
   // fill in :multi
   opts.multi = opts.multi || false;
 
+  // fill in :negatable. flags get a --no-<long> form unless told otherwise.
+  opts.negatable = (opts.type == 'flag' && opts.negatable !== false);
+
+  // check :min and :max
+  ['min', 'max'].forEach(function(bound) {
+    if( typeof opts[bound] == 'undefined' || opts[bound] === null ) {
+      opts[bound] = null;
+    }
+    else if( !underscore.include(NUMERIC_TYPES, opts.type) ) {
+      throw new SpecError("'"+bound+"' can only be given for numeric options", {option: name});
+    }
+    else if( typeof opts[bound] == 'string' && underscore.include(UNIT_TYPES, opts.type) ) {
+      var value = opts.type.match(/^duration/) ? parse_duration(opts[bound]) : parse_size(opts[bound]);
+      if( value === null ) {
+        throw new SpecError("'"+bound+"' must be a "+opts.type.replace(/s$/, ''), {option: name});
+      }
+      opts[bound] = value;
+    }
+    else if( typeof opts[bound] != 'number' || isNaN(opts[bound]) ) {
+      throw new SpecError("'"+bound+"' must be a number", {option: name});
+    }
+  });
+  if( opts.min !== null && opts.max !== null && opts.min > opts.max ) {
+    throw new SpecError("'min' is greater than 'max'", {option: name});
+  }
+  if( opts.min !== null || opts.max !== null ) {
+    default_values(opts).forEach(function(d) {
+      if( typeof d == 'string' && underscore.include(UNIT_TYPES, opts.type) ) {
+        d = opts.type.match(/^duration/) ? parse_duration(d) : parse_size(d);
+      }
+      if( typeof d == 'number' && ((opts.min !== null && d < opts.min) || (opts.max !== null && d > opts.max)) ) {
+        throw new SpecError("default "+this._format_value(opts, d)+" is not "+this._describe_bounds(opts), {option: name});
+      }
+    }, this);
+  }
+
+  // check :formats and :timezone
+  if( (opts.formats || opts.timezone) && opts.type != 'date' && opts.type != 'dates' ) {
+    throw new SpecError("'formats' and 'timezone' can only be given for date options", {option: name});
+  }
+  opts.formats = opts.formats ? underscore.flatten([opts.formats]) : [];
+  opts.formats.forEach(function(f) {
+    if( typeof f != 'string' || !f.match(DATE_FORMAT_TOKEN_RE) ) {
+      throw new SpecError("invalid date format '"+f+"'", {option: name});
+    }
+  });
+  if( typeof parse_timezone(opts.timezone) == 'undefined' ) {
+    throw new SpecError("unknown timezone '"+opts.timezone+"'", {option: name});
+  }
+
+  // check :optional and :const. a :const makes the value optional.
+  opts.optional = !!(opts.optional || 'const' in opts);
+  if( opts.optional && (!this._single_arg_type(opts.type) || opts.separator) ) {
+    throw new SpecError("'optional' and 'const' can only be given for single-parameter options", {option: name});
+  }
+  opts.const = ('const' in opts) ? opts.const : null;
+
+  // check :nargs (or :arity)
+  var nargs = ('nargs' in opts) ? opts.nargs : opts.arity;
+  opts.min_args = opts.max_args = null;
+  if( typeof nargs != 'undefined' && nargs !== null ) {
+    if( !this._multi_arg_type(opts.type) || opts.separator ) {
+      throw new SpecError("'nargs' can only be given for multiple-parameter options without a 'separator'", {option: name});
+    }
+    var range = parse_nargs(nargs);
+    if( !range ) {
+      throw new SpecError("invalid 'nargs' "+nargs+"; use a number, a range like '1..3', '+' or '*'", {option: name});
+    }
+    opts.min_args = range[0];
+    opts.max_args = range[1];
+  }
+  else if( this._multi_arg_type(opts.type) ) {
+    opts.min_args = 1;
+  }
+  delete opts.arity;
+  opts.nargs = nargs;
+
+  // check :separator, and the list options
+  if( typeof opts.separator == 'undefined' || opts.separator === null ) {
+    opts.separator = null;
+  }
+  else if( !this._single_arg_type(opts.type) && !this._multi_arg_type(opts.type) ) {
+    throw new SpecError("'separator' can only be given for options that take parameters", {option: name});
+  }
+  else if( typeof opts.separator != 'string' || opts.separator.length < 1 || opts.separator == '\\' ) {
+    throw new SpecError("'separator' must be a non-empty string other than a backslash", {option: name});
+  }
+  if( (opts.unique || opts.min_count || opts.max_count) && !opts.separator && !this._multi_arg_type(opts.type) ) {
+    throw new SpecError("'unique', 'min_count' and 'max_count' can only be given for options that take a list of parameters", {option: name});
+  }
+  opts.unique = opts.unique || false;
+  ['min_count', 'max_count'].forEach(function(bound) {
+    if( typeof opts[bound] == 'undefined' || opts[bound] === null ) {
+      opts[bound] = null;
+    }
+    else if( !Number.isSafeInteger(opts[bound]) || opts[bound] < 0 ) {
+      throw new SpecError("'"+bound+"' must be a non-negative integer", {option: name});
+    }
+  });
+  if( opts.min_count !== null && opts.max_count !== null && opts.min_count > opts.max_count ) {
+    throw new SpecError("'min_count' is greater than 'max_count'", {option: name});
+  }
+
+  // check :choices, and that the default is one of them
+  opts.case_sensitive = (opts.case_sensitive !== false);
+  if( typeof opts.choices == 'undefined' || opts.choices === null ) {
+    opts.choices = null;
+  }
+  else {
+    if( opts.type != 'string' && opts.type != 'strings' ) {
+      throw new SpecError("'choices' can only be given for string options", {option: name});
+    }
+    if( opts.choices.constructor != Array || opts.choices.length < 1 ) {
+      throw new SpecError("'choices' must be a non-empty array", {option: name});
+    }
+    opts.choices = underscore.map(opts.choices, function(c) { return c+''; });
+    default_values(opts).forEach(function(d) {
+      if( typeof d != 'undefined' && d !== null && match_choice(opts, d) === null ) {
+        throw new SpecError("default '"+d+"' is not one of the choices", {option: name});
+      }
+    });
+  }
+
+  // check positional arguments
+  if( opts.positional ) {
+    if( opts.multi || opts.optional || opts.nargs !== null && typeof opts.nargs != 'undefined' ) {
+      throw new SpecError("'multi', 'optional' and 'nargs' can't be given for positional arguments", {option: name});
+    }
+    if( opts.variadic ? !this._multi_arg_type(opts.type) : !this._single_arg_type(opts.type) ) {
+      throw new SpecError(opts.variadic ? "a variadic argument needs a multiple-parameter type, e.g. 'strings'"
+                                        : "a positional argument needs a single-parameter type, or to be variadic", {option: name});
+    }
+  }
+
   opts.desc = opts.desc || desc;
-  this.long[opts.long] = name
-  if(opts.short && opts.short != 'none') {
-    this.short[opts.short] = name
+  if( opts.positional ) {
+    this.order.push(['arg', name]);
+  }
+  else {
+    this.long[opts.long] = name
+    if(opts.short && opts.short != 'none') {
+      this.short[opts.short] = name
+    }
+    this.order.push(['opt', name]);
   }
   this.specs[name] = opts;
-  this.order.push(['opt', name]);
+};
+
+// Define a positional argument: one of the arguments that aren't
+// options, which are otherwise left in #leftovers. +name+ and +desc+ are
+// as for #opt. Positional arguments are taken from the leftovers in the
+// order they're defined, converted like the parameters of options, and
+// returned alongside the options (with a <name>_given entry when given).
+// Whatever they don't take stays in #leftovers; that's an error unless
+// the parser has stop words or #stop_on_unknown.
+//
+// Takes these optional arguments, which are as for #opt:
+// +:type+ (+:string+ by default), +:default+, +:required+, +:min+,
+// +:max+, +:choices+, +:case_sensitive+, +:formats+, +:timezone+ and
+// +:separator+; and also:
+//
+// [+:variadic+] If set to +true+, the argument takes all the remaining arguments, as an array. It must be the last one, and have a multiple-parameter +:type+ (+:strings+ if unspecified). +:required+ means at least one must be given; +:min_count+, +:max_count+ and +:unique+ are as for #opt.
+//
+// An argument that isn't +:required+ can't be followed by one that is.
+Parser.prototype.arg = function(name, desc, _opts) {
+  var opts = underscore.clone(_opts || {});
+  opts.positional = true;
+  opts.variadic = opts.variadic || false;
+  opts.required = opts.required || false;
+
+  var previous = this._positionals();
+  var last = previous[previous.length - 1];
+  if( last && this.specs[last].variadic ) {
+    throw new SpecError("argument '"+name+"' can't come after the variadic argument '"+last+"'", {option: name});
+  }
+  if( opts.required && underscore.any(previous, function(p) { return !this.specs[p].required; }, this) ) {
+    throw new SpecError("required argument '"+name+"' can't come after optional ones", {option: name});
+  }
+
+  if( this._has_commands() ) {
+    throw new SpecError("a parser can't have both commands and positional arguments", {option: name});
+  }
+
+  if( !('type' in opts) && !('dflt' in opts) ) {
+    opts.type = opts.variadic ? 'strings' : 'string';
+  }
+  this.opt(name, desc, opts);
+};
+
+// Takes the positional arguments from the front of #leftovers, and puts
+// their values in +vals+.
+Parser.prototype._parse_positionals = function(vals) {
+  var positionals = this._positionals();
+  if( positionals.length < 1 ) {
+    return;
+  }
+
+  var remains = this.leftovers;
+  var pos = 0;
+  positionals.forEach(function(name) {
+    var spec = this.specs[name];
+    var taken = spec.variadic ? remains.slice(pos) : remains.slice(pos, pos + 1);
+    pos += taken.length;
+
+    if( taken.length < 1 ) {
+      if( spec.required ) {
+        throw new ConstraintViolationError("argument <" + name + "> must be given", {constraint: 'required', option: name});
+      }
+      vals[name] = (spec.variadic && !spec.dflt) ? [] : this._convert_default(name); // like multi options, [] rather than nil
+      return;
+    }
+
+    var where = {option: name, arg: "<"+name+">", index: null, positional: true};
+    if( spec.separator ) { // a variadic one splits every word it takes
+      var values = [];
+      taken.forEach(function(p) { values = values.concat(this._parse_separated_parameter(p, where)); }, this);
+      values = this._check_list(values, where);
+    }
+    else {
+      var values = underscore.map(taken, function(p) { return this._parse_parameter(p, where); }, this);
+      if( spec.variadic ) {
+        values = this._check_list(values, where);
+      }
+    }
+
+    vals[name] = (spec.variadic || spec.separator) ? values : values[0];
+    vals[name+'_given'] = true;
+  }, this);
+
+  this.leftovers = remains.slice(pos);
+  if( this.leftovers.length > 0 && this.stop_words.length < 1 && !this._stop_on_unknown ) {
+    throw new CommandLineError("too many arguments, starting at '" + this.leftovers[0] + "'", {token: this.leftovers[0]});
+  }
+};
+
+// Define a command (or subcommand): a word that, when it comes first of
+// the arguments that aren't options, has the rest of them parsed by a
+// parser of its own. +name+ is the command's name, or an array of its
+// name and aliases, e.g. ['copy', 'cp']. +fn+ defines the command's
+// options (and commands, and arguments) like the block given to
+// Trollop:'options'; +handler+ is the function #dispatch calls for it.
+//
+// Parsing the commandline then gives the values of the options of every
+// command on the way, as well as this parser's, with the names of the
+// commands under +'command_path'+, e.g. ['remote', 'add']. The options of
+// this parser can also be given after the command. A command's option
+// with the same name as one of this parser's takes its place after the
+// command; given before it, the value is this parser's option's. A
+// command's own --help shows its own help.
+//
+// If commands are defined, one of them has to be given, unless the
+// parser has a handler of its own (i.e. is a command too). A parser
+// with commands can't have positional arguments; its commands can.
+Parser.prototype.command = function(name, desc, fn, handler) {
+  var names = underscore.flatten([name]);
+  if( this._positionals().length > 0 ) {
+    throw new SpecError("a parser can't have both commands and positional arguments", {option: names[0]});
+  }
+  names.forEach(function(n) {
+    if( typeof n != 'string' || n.match(/^-/) || n in this._command_names ) {
+      throw new SpecError("invalid or duplicate command name '"+n+"'", {option: names[0]});
+    }
+  }, this);
+
+  var sub = new Parser();
+  sub._parent = this;
+  sub._command = names[0];
+  sub._handler = handler || null;
+  if( fn ) { // after setting the parent, so that its types can be used
+    fn.apply(sub);
+  }
+
+  this.commands[names[0]] = {name: names[0], aliases: names.slice(1), desc: desc || "", parser: sub};
+  names.forEach(function(n) {
+    this._command_names[n] = names[0];
+    this.stop_words.push(n);
+  }, this);
+  this._stop_on_unknown = true;
+  return sub;
+};
+
+// Calls the handler of the command that +vals+, the result of #parse,
+// says was given, as handler(vals, leftovers, cancellation) with the
+// command's parser as +this+, and returns what it returns. Does nothing
+// if the command has no handler. For a plugin (see #plugins), runs it and
+// returns its exit status. +cancellation+ is only given by
+// Trollop:'run'.
+Parser.prototype.dispatch = function(vals, cancellation) {
+  var parser = this._command_parsers(vals).pop();
+  if( vals.plugin ) {
+    return parser._run_plugin(vals, this.leftovers);
+  }
+  if( !parser._handler ) {
+    return undefined;
+  }
+  return parser._handler.call(parser, vals, this.leftovers, cancellation);
+};
+
+// This parser and those of the commands +vals+ says were given, outermost
+// first.
+Parser.prototype._command_parsers = function(vals) {
+  var parsers = [this];
+  (vals.command_path || []).forEach(function(name) {
+    var parser = parsers[parsers.length - 1];
+    if( parser.commands[name] ) {
+      parsers.push(parser.commands[name].parser);
+    }
+  });
+  return parsers;
+};
+
+// Adds a check of the parsed values that the parser can't do itself, for
+// Trollop:'run' to make before calling the handler. +fn+ is called as
+// fn(vals, leftovers, cancellation) with the parser as +this+, and may
+// return a promise. To reject the commandline, it throws (or rejects
+// with) a CommandLineError, which is reported like any other:
+//
+//   this.validate(function(vals) {
+//     return exists(vals['input']).then(function(found) {
+//       if( !found ) {
+//         throw new trollopjs.CommandLineError("input file " + vals['input'] + " doesn't exist");
+//       }
+//     });
+//   });
+//
+// The checks of a command run after those of the parsers it's under.
+Parser.prototype.validate = function(fn) {
+  if( typeof fn != 'function' ) {
+    throw new SpecError("a validator must be a function");
+  }
+  this._validators.push(fn);
+};
+
+// Runs the #validate checks for +vals+ one after the other, waiting for
+// each. Returns a promise.
+Parser.prototype._validate = function(vals, cancellation) {
+  var leftovers = this.leftovers;
+  return this._command_parsers(vals).reduce(function(done, parser) {
+    return parser._validators.reduce(function(done, fn) {
+      return done.then(function() { return fn.call(parser, vals, leftovers, cancellation); });
+    }, done);
+  }, Promise.resolve());
+};
+
+// Lets commands be external programs, as with git: if the word where a
+// command should be, say 'foo', isn't one of the #command's, the
+// executable called '<prefix>-foo' is looked for in +:dirs+ and then in
+// the $PATH (unless +:path+ is +false+). If there is one, parsing stops
+// there, with 'foo' as the +'command_path'+ and the executable's path as
+// +'plugin'+; #dispatch (and so Trollop:'options') then runs it with the
+// rest of the arguments. The options are passed to it as environment
+// variables, e.g. MYTOOL_DRY_RUN for --dry-run with a prefix of 'mytool'.
+// +prefix+ is the #program name by default.
+//
+// The plugins found are listed in the help.
+Parser.prototype.plugins = function(prefix, _opts) {
+  var opts = _opts || {};
+  if( this._positionals().length > 0 ) {
+    throw new SpecError("a parser can't have both commands and positional arguments");
+  }
+  this._plugins = {prefix: prefix || null, dirs: underscore.flatten([opts.dirs || []]), path: opts.path !== false};
+  this._stop_on_unknown = true;
+};
+
+// Whether this parser has commands, or plugins that could be commands.
+Parser.prototype._has_commands = function() {
+  return !underscore.isEmpty(this.commands) || this._plugins !== null;
+};
+
+// What plugins' names start with.
+Parser.prototype._plugin_prefix = function() {
+  return this._plugins.prefix || this.program();
+};
+
+// The directories plugins are looked for in, in order.
+Parser.prototype._plugin_dirs = function() {
+  var dirs = this._plugins.dirs;
+  if( this._plugins.path ) {
+    dirs = dirs.concat((process.env.PATH || "").split(path.delimiter));
+  }
+  return underscore.select(dirs, function(dir) { return dir !== ""; }); // not the current directory
+};
+
+// The executable for the plugin +name+, or null if there isn't one.
+Parser.prototype._find_plugin = function(name) {
+  if( !this._plugins || !name.match(PLUGIN_NAME_RE) ) {
+    return null;
+  }
+  var file = this._plugin_prefix() + "-" + name;
+  var found = underscore.detect(this._plugin_dirs(), function(dir) { return is_executable(path.join(dir, file)); });
+  return found ? path.join(found, file) : null;
+};
+
+// All the plugins there are, as an object of their executables by name,
+// leaving out any a #command hides.
+Parser.prototype._find_plugins = function() {
+  var found = {};
+  if( !this._plugins ) {
+    return found;
+  }
+  var prefix = this._plugin_prefix() + "-";
+  this._plugin_dirs().forEach(function(dir) {
+    try {
+      var files = fs.readdirSync(dir).sort();
+    }
+    catch(e) {
+      return;
+    }
+    files.forEach(function(file) {
+      var name = file.substring(prefix.length);
+      if( file.indexOf(prefix) == 0 && name.match(PLUGIN_NAME_RE) && !(name in found) && !(name in this._command_names) &&
+          is_executable(path.join(dir, file)) ) {
+        found[name] = path.join(dir, file);
+      }
+    }, this);
+  }, this);
+  return found;
+};
+
+// Runs the plugin +vals+ names, with the +args+ left after it, and waits
+// for it. Returns its exit status.
+Parser.prototype._run_plugin = function(vals, args) {
+  var env = underscore.clone(process.env);
+  var prefix = this._plugin_prefix().toUpperCase().replace(/[^A-Z0-9]+/g, '_') + "_";
+  for( var sym in this.specs ) {
+    var value = vals[sym];
+    if( sym == 'help' || sym == 'version' || this.specs[sym].positional || typeof value == 'undefined' || value === null ) {
+      continue;
+    }
+    env[prefix + sym.toUpperCase().replace(/[^A-Z0-9]+/g, '_')] = env_value(value);
+  }
+
+  var result = child_process.spawnSync(vals.plugin, args, {stdio: 'inherit', env: env});
+  if( result.error ) {
+    throw result.error;
+  }
+  return result.status === null ? 1 : result.status;
+};
+
+// Plugin names are plain words, so they can't point outside the plugin
+// directories.
+const PLUGIN_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// Whether +file+ is a file we may execute.
+var is_executable = function(file) {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  }
+  catch(e) {
+    return false;
+  }
+};
+
+// How an option's +value+ is passed to a plugin in its environment: a
+// flag is "1" or "", a list or a map is JSON, and anything else (numbers,
+// strings, dates, streams) is as a string.
+var env_value = function(value) {
+  if( typeof value == 'boolean' ) {
+    return value ? "1" : "";
+  }
+  if( value instanceof Date ) {
+    return value.toISOString();
+  }
+  if( value.constructor == Array || value.constructor == Object ) {
+    return JSON.stringify(value, function(key, v) { return v instanceof LazyStream ? v.toString() : v; });
+  }
+  return value+'';
+};
+
+// Hands the leftovers to the command they start with, if this parser has
+// commands, and adds the values of its options to +vals+.
+Parser.prototype._parse_command = function(vals) {
+  if( !this._has_commands() ) {
+    return;
+  }
+
+  vals.command_path = [];
+  var word = this.leftovers[0];
+  var name = this._command_names[word];
+  var plugin = (!name && typeof word != 'undefined') ? this._find_plugin(word) : null;
+  if( plugin ) { // the plugin gets the rest of the arguments as they are
+    vals.command_path = [word];
+    vals.plugin = plugin;
+    this.leftovers = this.leftovers.slice(1);
+    return;
+  }
+  if( !name ) {
+    if( this._handler ) {
+      return;
+    }
+    if( typeof word == 'undefined' ) {
+      var names = underscore.keys(this.commands).concat(underscore.keys(this._find_plugins()));
+      throw new CommandLineError("no command given; try one of " + names.join(', '));
+    }
+    throw new UnknownCommandError("unknown command '" + word + "'", {token: word, suggestions: this._suggestions(word)});
+  }
+
+  var sub = this.commands[name].parser;
+  sub._inherit_options(this);
+  var sub_vals = sub._parse(this.leftovers.slice(1));
+  this.leftovers = sub.leftovers;
+
+  // options of this parser given before the command stay as they are, and
+  // those given on both sides add up as if given on one
+  for( var sym in sub.specs ) {
+    var spec = sub.specs[sym];
+    if( !spec.inherited ) { // the command's own, unless it has this parser's option's name
+      if( vals[sym+'_given'] && !sub_vals[sym+'_given'] ) {
+        delete sub_vals[sym];
+      }
+      continue;
+    }
+    if( !sub_vals[sym+'_given'] ) {
+      delete sub_vals[sym];
+    }
+    else if( vals[sym+'_given'] ) {
+      sub_vals[sym] = this._merge_given(sym, vals[sym], sub_vals[sym]);
+    }
+  }
+  underscore.extend(vals, sub_vals);
+  vals.command_path = [name].concat(sub_vals.command_path || []);
+};
+
+// The value of option +sym+, given both before a command (as +before+)
+// and after it (as +after+). A count counts both, a +multi+ option or a map
+// has the values of both, and a flag may be given each way once, the
+// last one winning. Any other option can only be given once.
+Parser.prototype._merge_given = function(sym, before, after) {
+  var spec = this.specs[sym];
+  if( spec.type == COUNT_TYPE ) {
+    return before + after - spec.dflt;
+  }
+  if( spec.multi ) {
+    return before.concat(after);
+  }
+  if( spec.type == MAP_TYPE ) {
+    return underscore.extend(underscore.clone(before), after);
+  }
+  if( spec.type != 'flag' || before === after ) {
+    var arg = (spec.type == 'flag' && !after) ? "--no-"+spec.long : "--"+spec.long;
+    throw new CommandLineError("option '" + arg + "' specified multiple times", {option: sym, arg: arg});
+  }
+  return after;
+};
+
+// Makes the options of +parent+ (except its --help) options of this
+// parser too, if they don't clash with its own. They're shown in the help
+// as global options.
+Parser.prototype._inherit_options = function(parent) {
+  if( this._inherited_from === parent ) {
+    return;
+  }
+  this._inherited_from = parent;
+
+  for( var sym in parent.specs ) {
+    var spec = parent.specs[sym];
+    if( sym == 'help' || spec.positional || sym in this.specs || spec.long in this.long ) {
+      continue;
+    }
+    var copy = underscore.clone(spec);
+    copy.inherited = true;
+    copy.required = false;
+    if( copy.short && this.short[copy.short] ) {
+      copy.short = 'none';
+    }
+    this.specs[sym] = copy;
+    this.long[copy.long] = sym;
+    if( copy.short && copy.short != 'none' ) {
+      this.short[copy.short] = sym;
+    }
+  }
+};
+
+// The names of the positional arguments, in order.
+Parser.prototype._positionals = function() {
+  return underscore.map(underscore.select(this.order, function(o) { return o[0] == 'arg'; }), function(o) { return o[1]; });
 };
 
 // Sets the version string. If set, the user can request the version
@@ -333,7 +1103,7 @@ Parser.prototype.depends = function() {
   var syms = Array.prototype.slice.call(arguments);
   syms.forEach(function(sym) {
       if( !this.specs[sym] ) {
-        throw "unknown option '"+sym+"'";
+        throw new SpecError("unknown option '"+sym+"'", {option: sym});
       }
     },this);
   this.constraints.push(['depends', syms]);
@@ -344,7 +1114,7 @@ Parser.prototype.conflicts = function() {
   var syms = Array.prototype.slice.call(arguments);
   syms.forEach(function(sym) {
       if( !this.specs[sym] ) {
-        throw "unknown option '"+sym+"'";
+        throw new SpecError("unknown option '"+sym+"'", {option: sym});
       }
     },this);
   this.constraints.push(['conflicts', syms]);
@@ -358,7 +1128,8 @@ Parser.prototype.conflicts = function() {
 // A typical use case would be for subcommand support, where these
 // would be set to the list of subcommands. A subsequent Trollop
 // invocation would then be used to parse subcommand options, after
-// shifting the subcommand off of ARGV.
+// shifting the subcommand off of ARGV. (#command does all that for you,
+// and adds the commands to the stop words.)
 Parser.prototype.stop_on = function() {
   this.stop_words = underscore.flatten(Array.prototype.slice.call(arguments));
 };
@@ -371,8 +1142,54 @@ Parser.prototype.stop_on_unknown = function() {
   this._stop_on_unknown = true;
 };
 
+// Whether long options may be abbreviated to any prefix that only one of
+// them (or of their --no- forms) starts with, e.g. --verb for --verbose.
+// On by default; an exact match always wins. Pass +false+ to only accept
+// options as they're spelt in full.
+Parser.prototype.allow_abbreviations = function(allow) {
+  this._allow_abbreviations = (allow !== false);
+};
+
+// How many edits (insertions, deletions, substitutions or swaps of two
+// neighbouring letters) an unknown option may be from a known one, or
+// from a stop word, for it to be suggested as what was meant. Case is
+// ignored. 2 by default; pass +false+ for no suggestions.
+Parser.prototype.suggestion_distance = function(distance) {
+  this._suggestion_distance = (distance === false || distance === null) ? null : distance;
+};
+
+// Adds a type of option value for this parser only. See
+// Trollop:'registerType'.
+Parser.prototype.registerType = function(name, definition) {
+  register_type(this._types, name, definition);
+};
+
 // Parses the commandline. Typically called by Trollop::options.
-Parser.prototype.parse = function(_cmdline) {
+Parser.prototype.parse = function(cmdline) {
+  var vals = this._parse(cmdline);
+  this._apply_decrements(vals);
+  return vals;
+};
+
+// Counts down the counts that others decrement, by how many times those
+// were given in all, before and after any command.
+Parser.prototype._apply_decrements = function(vals) {
+  var done = {};
+  this._command_parsers(vals).forEach(function(parser) {
+    for( var sym in parser.specs ) {
+      var spec = parser.specs[sym];
+      if( spec.decrements && !spec.inherited && !(sym in done) && vals[sym+'_given'] ) {
+        vals[spec.decrements] -= vals[sym] - spec.dflt;
+        done[sym] = true;
+      }
+    }
+  });
+};
+
+// #parse, but leaving the counts that others decrement as they are, as a
+// command's parser does until they've been added to those given before
+// the command.
+Parser.prototype._parse = function(_cmdline) {
   if( typeof _cmdline == 'undefined' ) {
     var cmdline = process.ARGV;
   }
@@ -383,74 +1200,127 @@ Parser.prototype.parse = function(_cmdline) {
   var required = {}
 
   if(this._version && !(this.specs['version'] || this.long['version']) ) {
-    this.opt('version', "Print version and exit");
+    this.opt('version', "Print version and exit", {negatable: false});
   }
   if(!this.specs['help'] && !this.long['help']) {
-    this.opt('help', "Show this message");
+    this.opt('help', "Show this message", {negatable: false});
   }
 
   for(var sym in this.specs) {
-    var opts = this.specs[sym];
-    if(opts.required) {
+    if(this.specs[sym].required && !this.specs[sym].positional) {
       required[sym] = true;
     }
-    vals[sym] = opts.dflt;
-    if(opts.multi && !opts.dflt) { // multi arguments default to [], not nil
-      vals[sym] = [];
-    }
   }
 
   this._resolve_default_short_options();
 
   // resolve symbols
   var given_args = {};
-  this.leftovers = this._each_arg(cmdline, function(arg, params) {
+  this.leftovers = this._each_arg(cmdline, function(arg, params, index, param_index) {
+    var negated = false;
     if( m = arg.match(/^-([^-])$/) ) {
       var sym = this.short[m[1]];
     }
     else if( m = arg.match(/^--([^-]\S*)$/) ) {
-      var sym = this.long[m[1]];
+      var long = m[1];
+      var sym = this.long[long];
+      // --no-<long> for negatable flags, unless an option is really called that
+      if( typeof sym == 'undefined' && (m = long.match(/^no-(.+)$/)) &&
+          this.long[m[1]] && this.specs[this.long[m[1]]].negatable ) {
+        sym = this.long[m[1]];
+        negated = true;
+      }
+      // otherwise, the one option it's an abbreviation of
+      if( typeof sym == 'undefined' && this._allow_abbreviations ) {
+        var candidates = this._abbreviation_candidates(long);
+        if( candidates.length > 1 ) {
+          throw new AmbiguousOptionError("ambiguous argument '" + arg + "' could be " + underscore.pluck(candidates, 'arg').join(', '),
+                                         {arg: arg, token: cmdline[index], index: index, candidates: underscore.pluck(candidates, 'arg')});
+        }
+        if( candidates.length == 1 ) {
+          sym = candidates[0].sym;
+          negated = candidates[0].negated;
+        }
+      }
     }
     else {
-      throw "invalid argument syntax: '" + arg + "'";
+      throw new CommandLineError("invalid argument syntax: '" + arg + "'", {arg: arg, token: cmdline[index], index: index});
     }
 
     if( typeof sym == 'undefined' ) {
-      throw "unknown argument '" + arg + "'";
+      throw new UnknownOptionError("unknown argument '" + arg + "'", {arg: arg, token: cmdline[index], index: index, suggestions: this._suggestions(arg)});
     }
 
-    if(sym in given_args && !this.specs[sym].multi) {
-      throw "option '" + arg + "' specified multiple times";
+    // a flag may be given both ways (the last one wins), but each only once.
+    // counts and maps are there to be given more than once.
+    if(sym in given_args && !this.specs[sym].multi && this.specs[sym].type != COUNT_TYPE && this.specs[sym].type != MAP_TYPE &&
+       given_args[sym].forms[negated]) {
+      throw new CommandLineError("option '" + arg + "' specified multiple times", {option: sym, arg: arg, token: cmdline[index], index: index});
     }
 
-    given_args[sym] = given_args[sym] || {};
+    given_args[sym] = given_args[sym] || {forms: {}};
 
     given_args[sym].arg = arg
+    given_args[sym].negated = negated;
+    given_args[sym].forms[negated] = true;
+    given_args[sym].count = (given_args[sym].count || 0) + 1;
+    given_args[sym].index = index;
     given_args[sym].params = given_args[sym].params || [];
+    given_args[sym].param_indices = given_args[sym].param_indices || [];
 
     // The block returns the number of parameters taken.
     var num_params_taken = 0
 
-    if(params) {
-      if( underscore.include(SINGLE_ARG_TYPES, this.specs[sym].type) ) {
+    // an optional value has to be attached, as in --color=always. (it's
+    // attached when it comes from the same argument as the option.)
+    if(this.specs[sym].optional && (!params || param_index != index)) {
+      given_args[sym].params.push([]);
+      given_args[sym].param_indices.push(index + 1);
+    }
+    else if(params) {
+      if( this._single_arg_type(this.specs[sym].type) || this.specs[sym].type == MAP_TYPE || this.specs[sym].separator ) {
         given_args[sym].params.push([params.shift()]); // take the first parameter
+        given_args[sym].param_indices.push(param_index);
         num_params_taken = 1;
       }
-      else if( underscore.include(MULTI_ARG_TYPES, this.specs[sym].type) ) {
-        given_args[sym].params.push(params) // take all the parameters
+      else if( this._multi_arg_type(this.specs[sym].type) ) {
+        var max_args = this.specs[sym].max_args;
+        params = (max_args === null) ? params : params.slice(0, max_args);
+        given_args[sym].params.push(params) // take all the parameters (or as many as it wants)
+        given_args[sym].param_indices.push(param_index);
         num_params_taken = params.length;
       }
     }
+    else if( this.specs[sym].min_args === 0 ) { // nargs '*', given no parameters
+      given_args[sym].params.push([]);
+      given_args[sym].param_indices.push(index + 1);
+    }
 
     return num_params_taken;
   });
 
   // check for version and help args
   if('version' in given_args) {
-    throw VersionNeeded;
+    throw new VersionNeeded(this);
   }
   if('help' in given_args) {
-    throw HelpNeeded;
+    throw new HelpNeeded(this);
+  }
+
+  // fill in the defaults of the options that weren't given. (a string
+  // default naming a missing file, say, only matters if it's used.)
+  for(var sym in this.specs) {
+    var opts = this.specs[sym];
+    if(sym in given_args || opts.positional) {
+      continue;
+    }
+    vals[sym] = this._convert_default(sym);
+    if(opts.multi && !opts.dflt) { // multi arguments default to [], not nil
+      vals[sym] = [];
+    }
+    if(opts.type == MAP_TYPE) { // and maps to a fresh {}
+      vals[sym] = underscore.extend({}, opts.dflt);
+    }
   }
 
   // check constraint satisfaction
@@ -467,27 +1337,22 @@ Parser.prototype.parse = function(_cmdline) {
     case 'depends':
       syms.forEach( function(sym) {
           if( !(sym in given_args) ) {
-            throw "--" + this.specs[constraint_sym].long +" requires --"+ this.specs[sym].long;
+            throw new ConstraintViolationError("--" + this.specs[constraint_sym].long +" requires --"+ this.specs[sym].long,
+                {constraint: 'depends', option: constraint_sym, related: sym, arg: given_args[constraint_sym].arg, index: given_args[constraint_sym].index});
           }
         },this);
       break;
     case 'conflicts':
       syms.forEach( function(sym) {
           if( sym in given_args && (sym != constraint_sym) ) {
-            throw "--" + this.specs[constraint_sym].long +" conflicts with --"+ this.specs[sym].long;
+            throw new ConstraintViolationError("--" + this.specs[constraint_sym].long +" conflicts with --"+ this.specs[sym].long,
+                {constraint: 'conflicts', option: constraint_sym, related: sym, arg: given_args[sym].arg, token: cmdline[given_args[sym].index], index: given_args[sym].index});
           }
         },this);
       break;
     }
   },this);
 
-  for( var sym in required) {
-    var val = required[sym];
-    if( !(sym in given_args) ) {
-      throw "option '" + sym + "' must be specified";
-    }
-  }
-
   // parse parameters
   for( var sym in given_args ) {
     var given_data = given_args[sym];
@@ -495,36 +1360,48 @@ Parser.prototype.parse = function(_cmdline) {
     var params = given_data.params;
 
     opts = this.specs[sym]
-    if(params.length < 1 && opts.type != 'flag') {
-      throw "option '"+arg+"' needs a parameter";
+    if(params.length < 1 && opts.type != 'flag' && opts.type != COUNT_TYPE) {
+      throw new MissingParameterError("option '"+arg+"' needs a parameter", {option: sym, arg: arg, token: cmdline[given_data.index], index: given_data.index, expected: opts.type});
     }
+    params.forEach(function(pg) {
+      if( opts.min_args !== null && pg.length < opts.min_args ) {
+        throw new MissingParameterError("option '"+arg+"' needs "+describe_nargs(opts), {option: sym, arg: arg, token: cmdline[given_data.index], index: given_data.index, expected: opts.type});
+      }
+    });
 
     vals[sym+'_given'] = true; // mark argument as specified on the commandline
 
     var selfScoper = this;
-    switch( opts.type) {
-    case 'flag':
-      vals[sym] = !opts.dflt;
-      break;
-    case 'int':
-    case 'ints':
-      vals[sym] = underscore.map(params, function(pg) { return underscore.map(pg, function(p) { return selfScoper._parse_integer_parameter(p, arg); }); });
-      break;
-    case 'float':
-    case 'floats':
-      vals[sym] = underscore.map(params, function(pg) { return underscore.map(pg, function(p) { return selfScoper._parse_float_parameter(p, arg); }); });
-      break;
-    case 'string':
-    case 'strings':
-      vals[sym] = underscore.map(params, function(pg) { return underscore.map(pg, function(p) { return p+''; }); });
-      break;
-    case 'date':
-    case 'dates':
-      vals[sym] = underscore.map(params, function(pg) { return underscore.map(pg, function(p) { return selfScoper._parse_date_parameter(p, arg); }); });
-      break;
+    // where a given parameter came from, for error reporting
+    var param_where = function(g, k) {
+      return {option: sym, arg: arg, index: given_data.param_indices[g] + k};
+    };
+    if( opts.type == 'flag' ) {
+      vals[sym] = !given_data.negated;
+    }
+    else if( opts.type == COUNT_TYPE ) {
+      vals[sym] = opts.dflt + given_data.count;
+    }
+    else if( opts.type == MAP_TYPE ) { // the pairs of every occurrence, later ones winning
+      vals[sym] = {};
+      params.forEach(function(pg, g) { underscore.extend(vals[sym], selfScoper._parse_map_parameter(pg[0], param_where(g, 0))); });
+    }
+    else if( opts.separator ) {
+      vals[sym] = underscore.map(params, function(pg, g) { return selfScoper._check_list(selfScoper._parse_separated_parameter(pg[0], param_where(g, 0)), param_where(g, 0)); });
+    }
+    else {
+      vals[sym] = underscore.map(params, function(pg, g) {
+        if( opts.optional && pg.length < 1 ) { // given without its value
+          return [opts.const];
+        }
+        return underscore.map(pg, function(p, k) { return selfScoper._parse_parameter(p, param_where(g, k)); });
+      });
+      if( this._multi_arg_type(opts.type) ) {
+        vals[sym] = underscore.map(vals[sym], function(values, g) { return selfScoper._check_list(values, param_where(g, 0)); });
+      }
     }
 
-    if(underscore.include(SINGLE_ARG_TYPES, opts.type) ) {
+    if( this._single_arg_type(opts.type) && !opts.separator ) {
       if(!opts.multi) { // single parameter
         vals[sym] = vals[sym][0][0];
       }
@@ -532,12 +1409,22 @@ Parser.prototype.parse = function(_cmdline) {
         vals[sym] = underscore.map(vals[sym], function(p) { return p[0]; });
       }
     }
-    else if( underscore.include(MULTI_ARG_TYPES, opts.type) && !opts.multi ) {
+    else if( (this._multi_arg_type(opts.type) || opts.separator) && !opts.multi ) {
       vals[sym] = vals[sym][0]  // single option, with multiple parameters
     }
     // else: multiple options, with multiple parameters
   }
 
+  this._parse_positionals(vals);
+  this._parse_command(vals);
+
+  // required options may be given after a command, too
+  for( var sym in required) {
+    if( !vals[sym+'_given'] ) {
+      throw new ConstraintViolationError("option '" + sym + "' must be specified", {constraint: 'required', option: sym});
+    }
+  }
+
   /*
   // allow openstruct-style accessors
   class << vals
@@ -549,20 +1436,32 @@ Parser.prototype.parse = function(_cmdline) {
   return vals;
 };
 
-// Print the help message to +stream+.
+// Print the help message to +stream+, which can be any object with a
+// +write+ method. Defaults to Trollop:'stdout'.
 Parser.prototype.educate = function(_stream) {
-  //=$stdout
-  this.width(); // just calculate it now; otherwise we have to be careful not to
-                // call this unless the cursor's at the beginning of a line.
+  var stream = _stream || exports.stdout;
+  stream.write(this.helpText());
+};
 
+// Returns the help message as a string.
+Parser.prototype.helpText = function() {
+  var out = [];
   var left = {}
   for( var name in this.specs ) {
     var spec = this.specs[name];
-    left[name] = "--"+spec.long+((spec.short && spec.short != 'none') ? ", -"+spec.short : "");
+    if( spec.positional ) {
+      left[name] = "<"+name+">"+(spec.variadic ? "..." : "");
+      continue;
+    }
+    left[name] = "--"+((spec.negatable && spec.dflt) ? "[no-]" : "")+spec.long+((spec.short && spec.short != 'none') ? ", -"+spec.short : "");
     switch(spec.type) {
       case 'flag':
+      case COUNT_TYPE:
         left[name] +=  "";
         break;
+      case MAP_TYPE:
+        left[name] +=  " <key="+(spec.value_type == 'string' ? "value" : spec.value_type)+">";
+        break;
       case 'int':
         left[name] +=  " <i>";
         break;
@@ -570,10 +1469,10 @@ Parser.prototype.educate = function(_stream) {
         left[name] +=  " <i+>";
         break;
       case 'string':
-        left[name] +=  " <s>";
+        left[name] +=  spec.choices ? " <"+spec.choices.join('|')+">" : " <s>";
         break;
       case 'strings':
-        left[name] +=  " <s+>";
+        left[name] +=  spec.choices ? " <"+spec.choices.join('|')+"+>" : " <s+>";
         break;
       case 'float':
         left[name] +=  " <f>";
@@ -582,10 +1481,12 @@ Parser.prototype.educate = function(_stream) {
         left[name] +=  " <f+>";
         break;
       case 'io':
-        left[name] +=  " <filename/uri>";
+      case 'output':
+        left[name] +=  " <filename>";
         break;
       case 'ios':
-        left[name] +=  " <filename/uri+>";
+      case 'outputs':
+        left[name] +=  " <filename+>";
         break;
       case 'date':
         left[name] +=  " <date>";
@@ -593,17 +1494,64 @@ Parser.prototype.educate = function(_stream) {
       case 'dates':
         left[name] +=  " <date+>";
         break;
+      case 'duration':
+        left[name] +=  " <duration>";
+        break;
+      case 'durations':
+        left[name] +=  " <duration+>";
+        break;
+      case 'size':
+        left[name] +=  " <size>";
+        break;
+      case 'sizes':
+        left[name] +=  " <size+>";
+        break;
+      default: // a registered type
+        var custom = this._custom_type(spec.type);
+        if( !custom ) {
+          throw new SpecError("unknown type '"+spec.type+"'", {option: name});
+        }
+        left[name] +=  " <"+custom.placeholder+(custom.multi ? "+" : "")+">";
+        break;
+    }
+    if(spec.optional) { // --color[=<s>], -c
+      left[name] = "--"+spec.long+"[="+left[name].match(/ (<.*>)$/)[1]+"]"+((spec.short && spec.short != 'none') ? ", -"+spec.short : "");
+    }
+    if(spec.nargs !== null && typeof spec.nargs != 'undefined') { // <i> <i> or <i>{1,3} rather than <i+>
+      left[name] = left[name].replace(/<([^>]*)\+>$/, function(all, placeholder) {
+        if( spec.min_args === spec.max_args ) {
+          var each = [];
+          for( var i = 0; i < spec.min_args; i++ ) {
+            each.push("<"+placeholder+">");
+          }
+          return each.join(" ");
+        }
+        if( spec.max_args === null ) {
+          return spec.min_args == 0 ? "<"+placeholder+"*>" : spec.min_args == 1 ? all : "<"+placeholder+">{"+spec.min_args+",}";
+        }
+        return "<"+placeholder+">{"+spec.min_args+","+spec.max_args+"}";
+      });
+    }
+    if(spec.separator) { // <i,...> rather than <i> or <i+>
+      left[name] = left[name].replace(/\+?>$/, spec.separator+"...>");
     }
   }
 
-  var leftcol_width = underscore(left).chain().values().pluck('length').max().value();
-  var rightcol_start = leftcol_width + 6; // spaces
+  var commands = underscore.values(this.commands);
+  var command_left = underscore.map(commands, function(c) { return [c.name].concat(c.aliases).join(", "); });
+  var plugins = this._find_plugins();
+
+  var leftcol_width = underscore(left).chain().values().concat(command_left).concat(underscore.keys(plugins)).pluck('length').max().value() || 0;
 
+  var positionals = this._positionals();
   if( !(this.order.length > 0 && this.order[0][0] == 'text') ) {
     if(this._version) {
-      util.puts(this._version+"\n");
+      out.push(this._version+"\n");
     }
-    util.puts("Options:");
+    if(positionals.length > 0 || commands.length > 0 || this._parent) {
+      out.push(this.usage()+"\n");
+    }
+    out.push("Options:");
   }
 
   this.order.forEach(function(ordering) {
@@ -611,38 +1559,155 @@ Parser.prototype.educate = function(_stream) {
     var opt = ordering[1];
 
     if(what == 'text') {
-      util.puts(this.wrap(opt)+"\n");
-      return;
+      out.push(this.wrap(opt)+"\n");
     }
+    else if(what == 'opt') {
+      out.push(this._help_line(this.specs[opt], left[opt], leftcol_width));
+    }
+  },this);
+
+  if(positionals.length > 0) {
+    out.push("");
+    out.push("Arguments:");
+    positionals.forEach(function(name) {
+      out.push(this._help_line(this.specs[name], left[name], leftcol_width));
+    }, this);
+  }
 
-    var spec = this.specs[opt];
-    util.print("  " + left[opt]); //TODO: justify this text
-    var desc = spec.desc;
+  if(commands.length > 0) {
+    out.push("");
+    out.push("Commands:");
+    commands.forEach(function(c, i) {
+      out.push(this._help_row(command_left[i], c.desc, leftcol_width));
+    }, this);
+  }
 
-    if( !(typeof spec.dflt == 'undefined') && spec.dflt.constructor == Array) {
-      var default_s = spec.dflt.join(', ');
-    }
-    else {
-      var default_s = spec.dflt +'';
+  if(!underscore.isEmpty(plugins)) {
+    out.push("");
+    out.push("Plugins:");
+    for( var name in plugins ) {
+      out.push(this._help_row(name, plugins[name], leftcol_width));
     }
+  }
 
-    if(spec.dflt) {
-        if(spec.desc.match(/\.$/)) {
-          desc += " (Default: "+default_s+")";
-        }
-        else {
-          desc += " (default: "+default_s+")";
-        }
+  var inherited = underscore.select(underscore.keys(this.specs), function(name) { return this.specs[name].inherited; }, this);
+  if(inherited.length > 0) {
+    out.push("");
+    out.push("Global options:");
+    inherited.forEach(function(name) {
+      out.push(this._help_line(this.specs[name], left[name], leftcol_width));
+    }, this);
+  }
+
+  return out.join("\n") + "\n";
+}
+
+// The line of the help for the option or argument +spec+, whose left
+// column is +left+.
+Parser.prototype._help_line = function(spec, left, leftcol_width) {
+  var desc = spec.desc;
+
+  if( !(typeof spec.dflt == 'undefined') && spec.dflt.constructor == Array) {
+    var default_s = underscore.map(spec.dflt, function(d) { return this._format_value(spec, d); }, this).join(', ');
+  }
+  else {
+    var default_s = this._format_value(spec, spec.dflt);
+  }
+
+  var notes = [];
+  if(spec.dflt) {
+    notes.push("default: "+default_s);
+  }
+  if(spec.min !== null || spec.max !== null) {
+    notes.push(this._describe_bounds(spec));
+  }
+  if(spec.min_count !== null || spec.max_count !== null) {
+    notes.push(describe_count(spec));
+  }
+  if(spec.type == COUNT_TYPE) {
+    notes.push(spec.decrements ? "repeatable, each one lowers --"+this.specs[spec.decrements].long : "repeatable");
+  }
+  if(spec.type == MAP_TYPE) {
+    notes.push("repeatable");
+  }
+  if(spec.optional && spec.const !== null) {
+    notes.push("alone: "+this._format_value(spec, spec.const));
+  }
+
+  if(notes.length > 0) {
+    var note = notes.join(", ");
+    if(spec.desc.match(/\.$/)) {
+      note = note.charAt(0).toUpperCase() + note.substring(1);
     }
+    desc += " ("+note+")";
+  }
 
-    util.puts(this.wrap(desc, {width: this.width() - rightcol_start - 1, prefix: rightcol_start}));
-  },this);
+  return this._help_row(left, desc, leftcol_width);
+};
+
+// A line of the help: +left+, right-justified, then +desc+, wrapped.
+Parser.prototype._help_row = function(left, desc, leftcol_width) {
+  var rightcol_start = leftcol_width + 6; // spaces
+  var line = "  " + this.padStr(left, leftcol_width, " ") + ":   ";
+  var desc_width = Math.max(this.width() - rightcol_start - 1, 20); // even if the left column is too wide
+  return line + this.wrap(desc, {width: desc_width, prefix: rightcol_start});
+};
+
+// The usage line of the help, e.g. "Usage: cp [options] <source> <dest>",
+// made from the positional arguments.
+Parser.prototype.usage = function() {
+  var words = ["Usage:", this.program(), "[options]"];
+  this._positionals().forEach(function(name) {
+    var spec = this.specs[name];
+    var word = "<"+name+">"+(spec.variadic ? "..." : "");
+    words.push(spec.required ? word : "["+word+"]");
+  }, this);
+  if( this._has_commands() ) {
+    words.push(this._handler ? "[<command> ...]" : "<command> ...");
+  }
+  return words.join(" ");
+};
+
+// The name of the program, as shown in the usage line: the name of the
+// script being run (followed by the command, for a command's parser),
+// unless set by passing +name+.
+Parser.prototype.program = function(name) {
+  if( typeof name != 'undefined' && name !== null ) {
+    this._program = name;
+  }
+  if( this._program ) {
+    return this._program;
+  }
+  return this._parent ? this._parent.program()+" "+this._command : path.basename(process.argv[1] || process.argv[0]);
+};
+
+// The width help text is wrapped to: the width of stdout if it's a
+// terminal, otherwise $COLUMNS, otherwise 80. Worked out once and then
+// remembered. Pass a number to set it explicitly.
+Parser.prototype.width = function(w) {
+  if( typeof w != 'undefined' && w !== null ) {
+    this._width = w;
+  }
+  if( !this._width ) {
+    this._width = this._detect_width();
+  }
+  return this._width;
 }
 
-Parser.prototype.width = function() {
+Parser.prototype._detect_width = function() {
+  if( process.stdout && process.stdout.isTTY && process.stdout.columns > 0 ) {
+    return process.stdout.columns;
+  }
+
+  var columns = parseInt(process.env.COLUMNS, 10);
+  if( columns > 0 ) {
+    return columns;
+  }
+
   return 80;
 }
 
+// Wraps +str+ to the screen width. See Trollop:'wrap'.
 Parser.prototype.wrap = function(str, _opts) {
   if( typeof _opts == 'undefined' ) {
     var opts = {};
@@ -651,20 +1716,16 @@ Parser.prototype.wrap = function(str, _opts) {
     var opts = _opts;
   }
 
-  if(str == "") {
-    var ret = "";
-  }
-  else {
-    var self = this;
-    var ret = underscore(str.split("\n")).chain().map(function(s) {
-        return self._wrap_line(s, opts);
-        }).flatten().value().join("\n");
-  }
-
-  return ret;
+  return exports.wrap(str, {width: opts.width || (this.width() - 1), prefix: opts.prefix});
 }
 
-Parser.prototype._wrap_line = function(str, _opts) {
+// Wraps +str+ to +width+ columns (80 by default) and returns it as a
+// string. Lines are broken at whitespace; a word is only split if it
+// doesn't fit on a line by itself. Explicit newlines are kept, and the
+// continuation lines of an indented or bulleted line are indented to
+// line up with its text. Every line but the first is additionally
+// indented by +prefix+ spaces, which don't count towards +width+.
+exports.wrap = function(str, _opts) {
   if( typeof _opts == 'undefined' ) {
     var opts = {};
   }
@@ -672,27 +1733,72 @@ Parser.prototype._wrap_line = function(str, _opts) {
     var opts = _opts;
   }
 
-  var prefix = opts.prefix || 0;
-  var width = opts.width || (this.width() - 1);
-  var start = 0;
+  var width = Math.max(opts.width || 80, 1);
+  var prefix = spaces(opts.prefix || 0);
+
+  if(str == "") {
+    return "";
+  }
+
+  var lines = underscore(str.split("\n")).chain().map(function(s) {
+      return wrap_line(s, width);
+    }).flatten().value();
+  return lines.join("\n" + prefix);
+};
+
+// Matches the indentation and list bullet ("-", "*", "+" or "1.") at the
+// start of a line.
+const LINE_LEAD_RE = /^\s*(?:(?:[-*+]|\d+[.)])\s+)?/;
+
+var spaces = function(n) {
+  return new Array(n + 1).join(" ");
+};
+
+// Wraps a single line of text to +width+ columns and returns the lines.
+var wrap_line = function(str, width) {
+  if(str.length <= width) {
+    return [str];
+  }
+
+  var lead = str.match(LINE_LEAD_RE)[0];
+  if(lead.length * 2 > width) { // no sense in hanging that far in
+    lead = "";
+  }
+  var hang = spaces(lead.length);
+
   var ret = [];
-  while( start <= str.length ) {
-    if((start + width) >= str.length) {
-      var nextt = str.length;
+  var line = lead;
+  var fresh = true; // nothing but indentation on this line yet
+  var space = "";
+  (str.substring(lead.length).match(/\S+|\s+/g) || []).forEach(function(token) {
+    if( token.match(/^\s/) ) {
+      space = token;
+      return;
     }
-    else {
-      var x = width;
-      /*
-      x = str.search(/\s[^\s]$/);  //need to come of with an rindex
-      if( x && x < start ) {
-        x = str.search(/\s/, start)
+
+    if( !fresh && line.length + space.length + token.length > width ) {
+      ret.push(line);
+      line = hang;
+      fresh = true;
+    }
+
+    if( fresh ) {
+      while( line.length + token.length > width ) { // too long for any line
+        var room = width - line.length;
+        ret.push(line + token.substring(0, room));
+        token = token.substring(room);
+        line = hang;
       }
-      */
-      var nextt = x || str.length;
+      line += token;
     }
-    ret.push((ret.length < 1 ? "" : this.padStr(" ",prefix)) + '' + str.substring(start, nextt));
-    start = nextt + 1;
-  }
+    else {
+      line += space + token;
+    }
+    fresh = false;
+    space = "";
+  });
+  ret.push(line);
+
   return ret;
 };
 
@@ -706,154 +1812,1194 @@ Parser.prototype.padStr = function(str, num, _padding) {
 
   var ret = str;
   while(ret.length < num) {
-    ret = _padding+ret;
+    ret = padding+ret;
   }
 
   return ret.substring(0, num);
 }
 
 
-Parser.prototype._parse_integer_parameter = function(param, arg) {
-  if( !param.match(/^\d+$/) ) {
-    throw "option '"+arg +"' needs an integer";
-  }
-  return parseInt(param);
+// Prints an error message for +arg+ (an option or argument name) to stderr, with a
+// hint about --help, and exits with Trollop:'error_exit_code'. If +msg+
+// is omitted, +arg+ is taken to be the whole message.
+Parser.prototype.die = function(arg, msg) {
+  this._complain(arg, msg);
+  exports.exit(exports.error_exit_code);
 };
 
-Parser.prototype._parse_float_parameter = function(param, arg) {
-  if(!param.match(FLOAT_RE)) {
-    throw "option '"+arg+"' needs a floating-point number";
+// Writes the error message #die exits with.
+Parser.prototype._complain = function(arg, msg) {
+  if( typeof msg == 'undefined' || msg === null ) {
+    var line = "Error: " + arg;
+  }
+  else {
+    if( !this.specs[arg] ) {
+      throw new SpecError("unknown option '"+arg+"'", {option: arg});
+    }
+    var line = "Error: argument " + (this.specs[arg].positional ? "<"+arg+">" : "--"+this.specs[arg].long) + " " + msg;
+  }
+
+  if( !line.match(/[.!?]$/) ) {
+    line += ".";
   }
-  return parseFloat(param);
+  exports.stderr.write(line + "\n");
+  exports.stderr.write("Try --help for help.\n");
 };
 
-Parser.prototype._parse_date_parameter = function(param, arg) {
-  var parsed = Date.parse(param);
-  if(isNaN(parsed)) {
-    throw "option '"+arg+"' needs a date";
+// The value an option has when it isn't given on the commandline. A
+// string default for a STRING_DEFAULT_TYPES option, or one of a
+// registered type, is converted here, each time, so that e.g. 'yesterday'
+// means yesterday and a default file is checked afresh.
+Parser.prototype._convert_default = function(sym) {
+  var opts = this.specs[sym];
+  if( (!this._string_default_type(opts.type) && !opts.separator) || typeof opts.dflt == 'undefined' || opts.dflt === null ) {
+    return opts.dflt;
   }
-  else {
-    return  parsed
+
+  var self = this;
+  var where = opts.positional ? {option: sym, arg: "<"+sym+">", index: null, positional: true} : {option: sym, arg: "--"+opts.long, index: null};
+  var convert = function(d) {
+    if( d.constructor == Array ) {
+      return underscore.map(d, convert);
+    }
+    return (typeof d == 'string') ? self._parse_parameter(d, where) : d;
+  };
+  if( opts.separator && !opts.multi ) { // a list, like the value of the option when given
+    if( typeof opts.dflt == 'string' ) {
+      return this._check_list(this._parse_separated_parameter(opts.dflt, where), where);
+    }
+    return this._check_list(convert(opts.dflt.constructor == Array ? opts.dflt : [opts.dflt]), where);
   }
+  return convert(opts.dflt);
 };
 
-Parser.prototype._resolve_default_short_options = function() {
-  this.order.forEach(function(ordering) {
-      var type = ordering[0];
-      var name = ordering[1];
-      if( type != 'opt' ) {
-        return;
-      }
+// Looks up a type added with #registerType or Trollop:'registerType'. A
+// command's parser (see #command) has the types of the parsers it's
+// under too.
+Parser.prototype._custom_type = function(name) {
+  if( typeof name != 'string' ) {
+    return null;
+  }
+  var found = null;
+  this._type_registries().forEach(function(types) {
+    if( !found && Object.prototype.hasOwnProperty.call(types, name) ) {
+      found = types[name];
+    }
+  });
+  return found;
+};
 
-      var opts = this.specs[name];
-      if( opts.short ) {
-        return;
+// The first single-value registered type for which +test+ returns true,
+// looking at this parser's own types first.
+Parser.prototype._custom_type_for = function(test) {
+  var found = null;
+  this._type_registries().forEach(function(types) {
+    for( var name in types ) {
+      if( !found && Object.prototype.hasOwnProperty.call(types, name) && !types[name].multi && test(types[name]) ) {
+        found = types[name];
       }
+    }
+  });
+  return found;
+};
 
-      var c = false;
-      var copts = opts.long.split('');
-      for( var i=0; i < copts.length; i++ ) {
-        var d = copts[i];
-        if( !d.match(INVALID_SHORT_ARG_REGEX) && !this.short[d] ) {
-          c = d;
-          break;
-        }
-      }
-      if(c) {
-        opts.short = c;
-        this.short[c] = name;
-      }
-    }, this);
+// Where #_custom_type looks for types, in order: this parser's own, those
+// of the parsers it's a command of, and the global ones.
+Parser.prototype._type_registries = function() {
+  var registries = [];
+  for( var parser = this; parser; parser = parser._parent ) {
+    registries.push(parser._types);
+  }
+  return registries.concat([registered_types]);
 };
 
-Parser.prototype._collect_argument_parameters = function(args, start_at) {
-  var params = []
-  var pos = start_at
-  while(args[pos] && !args[pos].match(PARAM_RE) && !underscore.include(this.stop_words, args[pos])) {
-    params.push(args[pos]);
-    pos++;
+// Whether a string default for an option of +type+ is converted like a
+// commandline value.
+Parser.prototype._string_default_type = function(type) {
+  return underscore.include(STRING_DEFAULT_TYPES, type) || this._custom_type(type) !== null;
+};
+
+// The multiple-parameter type for values of +type+, e.g. 'ints' for
+// 'int'. A multiple-parameter type is its own.
+Parser.prototype._plural_type = function(type) {
+  var custom = this._custom_type(type);
+  if( custom ) {
+    return custom.plural;
   }
-  return params;
+  var i = underscore.indexOf(SINGLE_ARG_TYPES, type);
+  return i >= 0 ? MULTI_ARG_TYPES[i] : type;
 };
 
-Parser.prototype._each_arg = function(args, callback) {
-  var remains = [];
-  var i = 0;
+Parser.prototype._single_arg_type = function(type) {
+  var custom = this._custom_type(type);
+  return underscore.include(SINGLE_ARG_TYPES, type) || (custom !== null && !custom.multi);
+};
 
-  while (i < args.length) {
-    if(underscore.include(this.stop_words, args[i])) {
-      return remains.concat(args.slice(i));
+Parser.prototype._multi_arg_type = function(type) {
+  var custom = this._custom_type(type);
+  return underscore.include(MULTI_ARG_TYPES, type) || (custom !== null && custom.multi);
+};
+
+// Converts a single parameter to the type of the option it was given
+// for. +where+ describes the option and argv position it came from.
+Parser.prototype._parse_parameter = function(param, where) {
+  switch(value_type(this.specs[where.option])) {
+  case 'int':
+  case 'ints':
+    return this._parse_integer_parameter(param, where);
+  case 'float':
+  case 'floats':
+    return this._parse_float_parameter(param, where);
+  case 'string':
+  case 'strings':
+    return this._parse_string_parameter(param, where);
+  case 'date':
+  case 'dates':
+    return this._parse_date_parameter(param, where);
+  case 'duration':
+  case 'durations':
+    return this._parse_unit_parameter(param, where, parse_duration, "a duration (like 90s or 1h30m)");
+  case 'size':
+  case 'sizes':
+    return this._parse_unit_parameter(param, where, parse_size, "a size (like 512K or 10MB)");
+  case 'io':
+  case 'ios':
+  case 'output':
+  case 'outputs':
+    return this._parse_io_parameter(param, where);
+  default: // a registered type
+    return this._parse_custom_parameter(param, where);
+  }
+};
+
+// The type single values of the option +spec+ are converted to: the
+// type of the values of a map, otherwise the option's own type.
+var value_type = function(spec) {
+  return spec.type == MAP_TYPE ? spec.value_type : spec.type;
+};
+
+// Splits a parameter of a map option into its key=value pairs, and
+// converts the values.
+Parser.prototype._parse_map_parameter = function(param, where) {
+  var spec = this.specs[where.option];
+  var pairs = {};
+  param.split(',').forEach(function(entry) {
+    var m = entry.match(/^([^=]+)(?:=([^]*))?$/);
+    if( !m || (typeof m[2] == 'undefined' && spec.value_type != 'string') ) {
+      throw this._invalid_value(param, where, MAP_TYPE, "key=value pairs (got '"+entry+"')");
     }
+    pairs[m[1]] = (typeof m[2] == 'undefined') ? true : this._parse_parameter(m[2], where);
+  }, this);
+  return pairs;
+};
 
-    if( args[i].match(/^--$/) ) { // arg terminator
-      return remains.concat(args.slice((i + 1)));
+// Splits a parameter of an option with a +'separator'+ into its values,
+// and converts each. A backslash escapes the separator or a backslash.
+Parser.prototype._parse_separated_parameter = function(param, where) {
+  var sep = this.specs[where.option].separator;
+  return underscore.map(split_separated(param, sep), function(value) {
+    if( value === "" ) {
+      throw this._invalid_value(param, where, this.specs[where.option].type, "a value between each '"+sep+"'");
     }
-    else if( m = args[i].match(/^--(\S+?)=(.*)$/) ) { // long argument with equals
-      callback.call(this,"--"+m[1], [m[2]]);
-      i++;
+    return this._parse_parameter(value, where);
+  }, this);
+};
+
+// Splits +param+ on +sep+, except where a backslash escapes it.
+var split_separated = function(param, sep) {
+  var values = [];
+  var current = "";
+  for( var i = 0; i < param.length; i++ ) {
+    if( param.charAt(i) == "\\" && param.substr(i+1, sep.length) == sep ) {
+      current += sep;
+      i += sep.length;
     }
-    else if( args[i].match( /^--(\S+)$/) ) { // long argument
-      params = this._collect_argument_parameters(args, i + 1)
-      if( params.length > 0 ) {
-        var num_params_taken = callback.call(this,args[i], params);
-        if(!num_params_taken) {
-          if(this._stop_on_unknown) {
-            return remains.concat(args.slice(i + 1));
-          }
-          else {
-            remains.concat(params);
-          }
-        }
-        i += 1 + num_params_taken;
-      }
-      else { // long argument no parameter
-        callback.call(this,args[i], null);
-        i++;
-      }
+    else if( param.charAt(i) == "\\" && param.charAt(i+1) == "\\" ) {
+      current += "\\";
+      i += 1;
     }
-    else if( m = args[i].match(/^-(\S+)$/) ) { // one or more short arguments
-      var shortargs = m[1].split('');
-      for( var j = 0; j < shortargs.length; j++ ) {
-        var a = shortargs[j];
-        if(j == (shortargs.length - 1)) {
-          params = this._collect_argument_parameters(args, i + 1)
-          if(params.length > 0) {
-            var num_params_taken = callback.call(this,"-"+a, params);
-            if(!num_params_taken) {
-              if(this._stop_on_unknown) {
-                return remains.concat(args.slice(i + 1));
-              }
-              else {
-                remains.concat(params);
-              }
-            }
-            i += 1 + num_params_taken;
-          }
-          else { // argument no parameter
-            callback.call(this,"-"+a, null);
-            i += 1
-          }
-        }
-        else {
-          callback.call(this,"-"+a, null);
-        }
-      }
+    else if( param.substr(i, sep.length) == sep ) {
+      values.push(current);
+      current = "";
+      i += sep.length - 1;
     }
     else {
-      if(this._stop_on_unknown) {
-        return remains.concat(args.slice(i));
-      }
-      else {
-        remains.push(args[i]);
-        i++;
-      }
+      current += param.charAt(i);
     }
   }
+  values.push(current);
+  return values;
+};
 
-  return remains;
+// The values of the default in +opts+, an option's spec, one by one. A
+// string default of an option with a +'separator'+ is split on it.
+var default_values = function(opts) {
+  if( typeof opts.separator == 'string' && opts.separator.length > 0 && typeof opts.dflt == 'string' ) {
+    return split_separated(opts.dflt, opts.separator);
+  }
+  return underscore.flatten([opts.dflt]);
 };
 
-exports.options = function() {
+// Drops repeated values from +values+, the parameters of one occurrence
+// of a list option, if it's +'unique'+, and checks how many are left.
+Parser.prototype._check_list = function(values, where) {
+  var spec = this.specs[where.option];
+  if( spec.unique ) {
+    var seen = [];
+    values = underscore.select(values, function(v) {
+      var key = (v instanceof Date) ? +v : v;
+      if( underscore.include(seen, key) ) {
+        return false;
+      }
+      seen.push(key);
+      return true;
+    });
+  }
+
+  if( (spec.min_count !== null && values.length < spec.min_count) || (spec.max_count !== null && values.length > spec.max_count) ) {
+    throw new InvalidValueError(subject(where)+" needs "+describe_count(spec),
+                                underscore.extend({token: values.join(spec.separator || ' '), expected: spec.type}, where));
+  }
+  return values;
+};
+
+// The [min, max] numbers of parameters a +'nargs'+ of +n+ (2), '1..3',
+// '2..', '+' or '*' allows, where a max of null means any number; or null
+// if it isn't one of those.
+var parse_nargs = function(n) {
+  if( n === '+' ) {
+    return [1, null];
+  }
+  if( n === '*' ) {
+    return [0, null];
+  }
+  var m = (n+'').match(/^(\d+)(?:(\.\.)(\d*))?$/);
+  if( !m ) {
+    return null;
+  }
+  var range = [parseInt(m[1], 10), m[2] ? (m[3] ? parseInt(m[3], 10) : null) : parseInt(m[1], 10)];
+  if( (range[1] !== null && (range[1] < 1 || range[1] < range[0])) ) {
+    return null;
+  }
+  return range;
+};
+
+// "2 parameters", "1 to 3 parameters" or "at least 2 parameters", for
+// the option +spec+'s +'nargs'+.
+var describe_nargs = function(spec) {
+  var plural = function(n) { return n+(n == 1 ? " parameter" : " parameters"); };
+  if( spec.max_args === null ) {
+    return "at least "+plural(spec.min_args);
+  }
+  return spec.min_args == spec.max_args ? plural(spec.min_args) : spec.min_args+" to "+plural(spec.max_args);
+};
+
+// "2 to 5 values", "at least 2 values" or "at most 5 values", for the
+// list option +spec+.
+var describe_count = function(spec) {
+  var plural = function(n) { return n+(n == 1 ? " value" : " values"); };
+  if(spec.min_count !== null && spec.max_count !== null) {
+    return spec.min_count == spec.max_count ? plural(spec.min_count) : spec.min_count+" to "+plural(spec.max_count);
+  }
+  else if(spec.min_count !== null) {
+    return "at least "+plural(spec.min_count);
+  }
+  else {
+    return "at most "+plural(spec.max_count);
+  }
+};
+
+// How error messages refer to where a parameter came from: "option
+// '--num'", or "argument <file>" for a positional argument.
+var subject = function(where) {
+  return where.positional ? "argument "+where.arg : "option '"+where.arg+"'";
+};
+
+// Builds the error thrown when a parameter can't be converted. +where+
+// describes the option and argv position the parameter came from.
+Parser.prototype._invalid_value = function(param, where, expected, what) {
+  return new InvalidValueError(subject(where)+" needs "+what,
+                               underscore.extend({token: param, expected: expected}, where));
+};
+
+// "between 1 and 10", "at least 1" or "at most 10", for +spec+'s bounds.
+Parser.prototype._describe_bounds = function(spec) {
+  if(spec.min !== null && spec.max !== null) {
+    return "between "+this._format_value(spec, spec.min)+" and "+this._format_value(spec, spec.max);
+  }
+  else if(spec.min !== null) {
+    return "at least "+this._format_value(spec, spec.min);
+  }
+  else {
+    return "at most "+this._format_value(spec, spec.max);
+  }
+};
+
+// How +value+, a value of the option +spec+, is shown in the help.
+// Durations and sizes are shown in their human form (1h30m, 1.5KiB).
+Parser.prototype._format_value = function(spec, value) {
+  if( typeof value == 'number' && spec.type.match(/^durations?$/) ) {
+    return format_duration(value);
+  }
+  if( typeof value == 'number' && spec.type.match(/^sizes?$/) ) {
+    return format_size(value);
+  }
+  if( spec.type == MAP_TYPE && value && value.constructor == Object ) {
+    return underscore.map(underscore.keys(value), function(k) { return k+"="+value[k]; }).join(',');
+  }
+  return value+'';
+};
+
+// Makes sure +value+ is within the bounds of the option it was given for.
+Parser.prototype._check_bounds = function(value, param, where) {
+  var spec = this.specs[where.option];
+  if( (spec.min !== null && value < spec.min) || (spec.max !== null && value > spec.max) ) {
+    throw new InvalidValueError(subject(where)+" must be "+this._describe_bounds(spec),
+                                underscore.extend({token: param, expected: spec.type}, where));
+  }
+  return value;
+};
+
+Parser.prototype._parse_integer_parameter = function(param, where) {
+  var m = param.match(INTEGER_RE);
+  if( !m ) {
+    throw this._invalid_value(param, where, 'int', "an integer");
+  }
+
+  if( m[2] ) {
+    var value = parseInt(m[2].replace(/_/g, ''), 16);
+  }
+  else if( m[3] ) {
+    var value = parseInt(m[3].replace(/_/g, ''), 8);
+  }
+  else if( m[4] ) {
+    var value = parseInt(m[4].replace(/_/g, ''), 2);
+  }
+  else {
+    var value = parseInt(m[5].replace(/_/g, ''), 10);
+  }
+  if( m[1] == '-' ) {
+    value = -value;
+  }
+
+  if( !Number.isSafeInteger(value) ) {
+    throw new InvalidValueError(subject(where)+" is too large for an integer",
+                                underscore.extend({token: param, expected: 'int'}, where));
+  }
+  return this._check_bounds(value, param, where);
+};
+
+Parser.prototype._parse_float_parameter = function(param, where) {
+  if(!param.match(FLOAT_RE)) {
+    throw this._invalid_value(param, where, 'float', "a floating-point number");
+  }
+  return this._check_bounds(parseFloat(param), param, where);
+};
+
+Parser.prototype._parse_string_parameter = function(param, where) {
+  var spec = this.specs[where.option];
+  if( !spec.choices ) {
+    return param+'';
+  }
+
+  var choice = match_choice(spec, param+'');
+  if( choice === null ) {
+    throw new InvalidValueError(subject(where)+" must be one of "+spec.choices.join(', '),
+                                underscore.extend({token: param, expected: spec.type}, where));
+  }
+  return choice;
+};
+
+// Returns the one of +spec+'s choices that +value+ names, or null.
+var match_choice = function(spec, value) {
+  if( spec.case_sensitive ) {
+    return underscore.include(spec.choices, value) ? value : null;
+  }
+
+  var lower = value.toLowerCase();
+  var choice = underscore.detect(spec.choices, function(c) { return c.toLowerCase() == lower; });
+  return typeof choice == 'undefined' ? null : choice;
+};
+
+Parser.prototype._parse_custom_parameter = function(param, where) {
+  var type = this._custom_type(value_type(this.specs[where.option]));
+  try {
+    var value = type.parse(param);
+  }
+  catch(e) {
+    var reason = (e && e.message) ? e.message : (e ? e+'' : '');
+  }
+
+  if( typeof value == 'undefined' || (typeof value == 'number' && isNaN(value)) ) {
+    throw new InvalidValueError(subject(where)+" needs "+type.description+(reason ? " ("+reason+")" : ""),
+                                underscore.extend({token: param, expected: type.name}, where));
+  }
+  return value;
+};
+
+Parser.prototype._parse_unit_parameter = function(param, where, parse, what) {
+  var value = parse(param);
+  if( value === null ) {
+    throw this._invalid_value(param, where, value_type(this.specs[where.option]).replace(/s$/, ''), what);
+  }
+  return this._check_bounds(value, param, where);
+};
+
+const DURATION_UNITS = {ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000};
+
+// Milliseconds in a duration like 90s, 1h30m, 1.5h or 250ms, or null.
+// A bare 0 is allowed; other numbers need a unit.
+var parse_duration = function(str) {
+  str = (str+'').replace(/^\s+|\s+$/g, '');
+  if( str == '0' ) {
+    return 0;
+  }
+  if( !str.match(/^(\d+(\.\d+)?\s*(ms|s|m|h|d|w)\s*)+$/i) ) {
+    return null;
+  }
+
+  var total = 0;
+  str.replace(/(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)/gi, function(all, n, unit) {
+    total += parseFloat(n) * DURATION_UNITS[unit.toLowerCase()];
+  });
+  return Math.round(total);
+};
+
+var format_duration = function(ms) {
+  if( ms == 0 ) {
+    return "0s";
+  }
+
+  var out = ms < 0 ? "-" : "";
+  var left = Math.abs(ms);
+  ['w', 'd', 'h', 'm', 's', 'ms'].forEach(function(unit) {
+    var n = Math.floor(left / DURATION_UNITS[unit]);
+    if( n > 0 ) {
+      out += n + unit;
+      left -= n * DURATION_UNITS[unit];
+    }
+  });
+  return out;
+};
+
+// Multipliers for sizes. K, M, G and T on their own are binary, like the
+// KiB family; KB, MB and so on are decimal.
+const SIZE_UNITS = {
+  b: 1,
+  k: 1024, kib: 1024, kb: 1000,
+  m: Math.pow(1024, 2), mib: Math.pow(1024, 2), mb: Math.pow(1000, 2),
+  g: Math.pow(1024, 3), gib: Math.pow(1024, 3), gb: Math.pow(1000, 3),
+  t: Math.pow(1024, 4), tib: Math.pow(1024, 4), tb: Math.pow(1000, 4)
+};
+
+// Bytes in a size like 512, 512K, 10MB or 1.5GiB, or null.
+var parse_size = function(str) {
+  var m = (str+'').match(/^\s*(\d+(?:\.\d+)?)\s*([kmgt](?:i?b)?|b)?\s*$/i);
+  if( !m ) {
+    return null;
+  }
+  return Math.round(parseFloat(m[1]) * SIZE_UNITS[(m[2] || 'b').toLowerCase()]);
+};
+
+var format_size = function(bytes) {
+  var units = [['TiB', 'TB', 4], ['GiB', 'GB', 3], ['MiB', 'MB', 2], ['KiB', 'KB', 1]];
+  for( var i = 0; i < units.length; i++ ) { // exact amounts first
+    if( bytes != 0 && bytes % Math.pow(1024, units[i][2]) == 0 ) {
+      return (bytes / Math.pow(1024, units[i][2])) + units[i][0];
+    }
+    if( bytes != 0 && bytes % Math.pow(1000, units[i][2]) == 0 ) {
+      return (bytes / Math.pow(1000, units[i][2])) + units[i][1];
+    }
+  }
+  for( var i = 0; i < units.length; i++ ) {
+    if( bytes >= Math.pow(1024, units[i][2]) ) {
+      return parseFloat((bytes / Math.pow(1024, units[i][2])).toFixed(2)) + units[i][0];
+    }
+  }
+  return bytes + "B";
+};
+
+// Checks that the file named by +param+ can be read (for +io+ options)
+// or written (for +output+ options), and returns a LazyStream for it.
+Parser.prototype._parse_io_parameter = function(param, where) {
+  var type = value_type(this.specs[where.option]);
+  var writing = (type == 'output' || type == 'outputs');
+  var problem = writing ? writable_problem(param) : readable_problem(param);
+
+  if( problem ) {
+    throw new InvalidValueError(subject(where)+" can't "+(writing ? "write to" : "read from")+" '"+param+"' ("+problem+")",
+                                underscore.extend({token: param, expected: type}, where));
+  }
+  return new LazyStream(param, writing);
+};
+
+// Why the file +name+ can't be read, or null if it can.
+var readable_problem = function(name) {
+  if( name == '-' || name == 'stdin' ) {
+    return null;
+  }
+  try {
+    if( fs.statSync(name).isDirectory() ) {
+      return "it is a directory";
+    }
+    fs.accessSync(name, (fs.constants || fs).R_OK);
+  }
+  catch(e) {
+    return e.code == 'ENOENT' ? "no such file" : "not readable";
+  }
+  return null;
+};
+
+// Why the file +name+ can't be written, or null if it can.
+var writable_problem = function(name) {
+  if( name == '-' || name == 'stdout' || name == 'stderr' ) {
+    return null;
+  }
+  try {
+    if( fs.statSync(name).isDirectory() ) {
+      return "it is a directory";
+    }
+    fs.accessSync(name, (fs.constants || fs).W_OK);
+  }
+  catch(e) {
+    if( e.code != 'ENOENT' ) {
+      return "not writable";
+    }
+    try { // a new file, then
+      fs.accessSync(path.dirname(name), (fs.constants || fs).W_OK);
+    }
+    catch(e2) {
+      return e2.code == 'ENOENT' ? "no such directory" : "directory not writable";
+    }
+  }
+  return null;
+};
+
+// Dates can be given as
+//
+// - ISO-8601 dates or datetimes: 2007-01-04, 2007-01-04T13:30,
+//   2007-01-04 13:30:15.250+01:00. Without an explicit zone, these are
+//   in the option's +'timezone'+.
+// - one of the option's +'formats'+, made of YYYY, MM, MMM (Jan, Feb,
+//   ...), DD, HH, mm, ss and SSS, e.g. 'DD.MM.YYYY HH:mm'. Missing date
+//   parts are today's and missing time parts are zero.
+// - now, today, yesterday or tomorrow, optionally followed by offsets
+//   like -2h or +1d30m (units: s, m, h, d, w), or things like '3 days
+//   ago' and 'in 2 weeks' (seconds to years).
+//
+// Relative dates are worked out from Trollop:'clock'. The result is
+// always a Date.
+Parser.prototype._parse_date_parameter = function(param, where) {
+  var spec = this.specs[where.option];
+  var tz = parse_timezone(spec.timezone);
+  var str = param.replace(/^\s+|\s+$/g, '');
+
+  var date = parse_relative_date(str, tz) || parse_iso_date(str, tz);
+  for( var i = 0; !date && i < spec.formats.length; i++ ) {
+    date = parse_formatted_date(str, spec.formats[i], tz);
+  }
+
+  if( !date ) {
+    throw this._invalid_value(param, where, 'date', "a date");
+  }
+  return date;
+};
+
+// Turns a +'timezone'+ setting into minutes east of UTC: 'UTC' (or 'Z',
+// 'GMT') is 0, and offsets like '+02:00' or '-0530' are what they say.
+// Unset, or 'local', means local time and gives null. Anything else gives
+// undefined.
+var parse_timezone = function(tz) {
+  if( typeof tz == 'undefined' || tz === null || tz == 'local' ) {
+    return null;
+  }
+  if( typeof tz == 'string' && tz.match(/^(utc|gmt|z)$/i) ) {
+    return 0;
+  }
+  var m = (tz+'').match(/^([+-])(\d\d):?(\d\d)$/);
+  if( m && parseInt(m[3], 10) < 60 ) {
+    return (m[1] == '-' ? -1 : 1) * (parseInt(m[2], 10) * 60 + parseInt(m[3], 10));
+  }
+  return undefined;
+};
+
+// The calendar fields of time +t+ (in milliseconds) in timezone +tz+.
+var date_fields = function(t, tz) {
+  if( tz === null ) {
+    var d = new Date(t);
+    return {year: d.getFullYear(), month: d.getMonth(), day: d.getDate(),
+            hour: d.getHours(), minute: d.getMinutes(), second: d.getSeconds(), ms: d.getMilliseconds()};
+  }
+  var u = new Date(t + tz * 60000);
+  return {year: u.getUTCFullYear(), month: u.getUTCMonth(), day: u.getUTCDate(),
+          hour: u.getUTCHours(), minute: u.getUTCMinutes(), second: u.getUTCSeconds(), ms: u.getUTCMilliseconds()};
+};
+
+// The Date for calendar fields +f+ in timezone +tz+. Fields out of range
+// roll over, as with the Date constructor.
+var make_date = function(f, tz) {
+  if( tz === null ) {
+    return new Date(f.year, f.month, f.day, f.hour, f.minute, f.second, f.ms);
+  }
+  return new Date(Date.UTC(f.year, f.month, f.day, f.hour, f.minute, f.second, f.ms) - tz * 60000);
+};
+
+// Whether +f+ names a real date and time, e.g. not February 30th.
+var valid_date_fields = function(f) {
+  var d = new Date(Date.UTC(f.year, f.month, f.day, f.hour, f.minute, f.second, f.ms));
+  return d.getUTCFullYear() == f.year && d.getUTCMonth() == f.month && d.getUTCDate() == f.day &&
+         d.getUTCHours() == f.hour && d.getUTCMinutes() == f.minute && d.getUTCSeconds() == f.second;
+};
+
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+var parse_iso_date = function(str, tz) {
+  var m = str.match(ISO_DATE_RE);
+  if( !m ) {
+    return null;
+  }
+
+  var f = {year: parseInt(m[1], 10), month: parseInt(m[2], 10) - 1, day: parseInt(m[3], 10),
+           hour: parseInt(m[4] || '0', 10), minute: parseInt(m[5] || '0', 10), second: parseInt(m[6] || '0', 10),
+           ms: m[7] ? parseInt((m[7] + '00').substring(0, 3), 10) : 0};
+  if( !valid_date_fields(f) ) {
+    return null;
+  }
+  return make_date(f, m[8] ? parse_timezone(m[8]) : tz);
+};
+
+const DATE_FORMAT_TOKEN_RE = /YYYY|MMM|MM|DD|HH|mm|ss|SSS/;
+const DATE_FORMAT_TOKENS = {
+  YYYY: '(\\d{4})', MMM: '([a-z]{3})', MM: '(\\d{1,2})', DD: '(\\d{1,2})',
+  HH: '(\\d{1,2})', mm: '(\\d{2})', ss: '(\\d{2})', SSS: '(\\d{1,3})'
+};
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+var parse_formatted_date = function(str, format, tz) {
+  var tokens = [];
+  var source = underscore.map(format.split(/(YYYY|MMM|MM|DD|HH|mm|ss|SSS)/), function(part, i) {
+    if( i % 2 == 1 ) {
+      tokens.push(part);
+      return DATE_FORMAT_TOKENS[part];
+    }
+    return part.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+  }).join('');
+
+  var m = str.match(new RegExp('^' + source + '$', 'i'));
+  if( !m ) {
+    return null;
+  }
+
+  var today = date_fields(exports.clock(), tz);
+  var f = {year: today.year, month: today.month, day: today.day, hour: 0, minute: 0, second: 0, ms: 0};
+  for( var i = 0; i < tokens.length; i++ ) {
+    var value = m[i + 1];
+    switch(tokens[i]) {
+    case 'YYYY': f.year = parseInt(value, 10); break;
+    case 'MMM': f.month = underscore.indexOf(MONTH_NAMES, value.toLowerCase()); break;
+    case 'MM': f.month = parseInt(value, 10) - 1; break;
+    case 'DD': f.day = parseInt(value, 10); break;
+    case 'HH': f.hour = parseInt(value, 10); break;
+    case 'mm': f.minute = parseInt(value, 10); break;
+    case 'ss': f.second = parseInt(value, 10); break;
+    case 'SSS': f.ms = parseInt((value + '00').substring(0, 3), 10); break;
+    }
+  }
+
+  if( f.month < 0 || !valid_date_fields(f) ) {
+    return null;
+  }
+  return make_date(f, tz);
+};
+
+// Units of relative dates, by the names they can be given as (plurals
+// are handled separately).
+const DATE_UNITS = {
+  s: 'second', sec: 'second', second: 'second',
+  m: 'minute', min: 'minute', minute: 'minute',
+  h: 'hour', hr: 'hour', hour: 'hour',
+  d: 'day', day: 'day',
+  w: 'week', wk: 'week', week: 'week',
+  mo: 'month', month: 'month',
+  y: 'year', yr: 'year', year: 'year'
+};
+const DATE_UNIT_MS = {second: 1000, minute: 60 * 1000, hour: 60 * 60 * 1000};
+
+var date_unit = function(name) {
+  name = name.toLowerCase();
+  if( !DATE_UNITS.hasOwnProperty(name) && name.length > 2 && name.match(/s$/) ) {
+    name = name.substring(0, name.length - 1);
+  }
+  return DATE_UNITS.hasOwnProperty(name) ? DATE_UNITS[name] : null;
+};
+
+// Moves time +t+ by +n+ +unit+s. Days and longer go by the calendar, so
+// that "1 day ago" is the same time of day even across a DST change.
+var add_to_date = function(t, n, unit, tz) {
+  if( DATE_UNIT_MS[unit] ) {
+    return t + n * DATE_UNIT_MS[unit];
+  }
+  var f = date_fields(t, tz);
+  switch(unit) {
+  case 'day': f.day += n; break;
+  case 'week': f.day += 7 * n; break;
+  case 'month': f.month += n; break;
+  case 'year': f.year += n; break;
+  }
+  return make_date(f, tz).getTime();
+};
+
+const RELATIVE_DATE_RE = /^(now|today|yesterday|tomorrow)((?:\s*[+-](?:\s*\d+\s*[a-z]+)+)*)$/i;
+
+var parse_relative_date = function(str, tz) {
+  var now = exports.clock();
+  var m;
+
+  if( m = str.match(RELATIVE_DATE_RE) ) {
+    var base = m[1].toLowerCase();
+    if( base == 'now' ) {
+      var t = now;
+    }
+    else {
+      var f = date_fields(now, tz);
+      f.hour = f.minute = f.second = f.ms = 0;
+      var t = add_to_date(make_date(f, tz).getTime(), {today: 0, yesterday: -1, tomorrow: 1}[base], 'day', tz);
+    }
+
+    var offsets = m[2].match(/[+-][^+-]*/g) || [];
+    for( var i = 0; i < offsets.length; i++ ) {
+      var sign = offsets[i].charAt(0) == '-' ? -1 : 1;
+      var parts = offsets[i].match(/\d+\s*[a-z]+/gi);
+      for( var j = 0; j < parts.length; j++ ) {
+        var o = parts[j].match(/^(\d+)\s*([a-z]+)$/i);
+        var unit = date_unit(o[2]);
+        if( !unit ) {
+          return null;
+        }
+        t = add_to_date(t, sign * parseInt(o[1], 10), unit, tz);
+      }
+    }
+    return new Date(t);
+  }
+
+  if( (m = str.match(/^(\d+)\s*([a-z]+)\s+ago$/i)) || (m = str.match(/^in\s+(\d+)\s*([a-z]+)$/i)) ) {
+    var unit = date_unit(m[2]);
+    if( !unit ) {
+      return null;
+    }
+    var n = parseInt(m[1], 10) * (str.match(/ago$/i) ? -1 : 1);
+    return new Date(add_to_date(now, n, unit, tz));
+  }
+
+  return null;
+};
+
+Parser.prototype._resolve_default_short_options = function() {
+  this.order.forEach(function(ordering) {
+      var type = ordering[0];
+      var name = ordering[1];
+      if( type != 'opt' ) {
+        return;
+      }
+
+      var opts = this.specs[name];
+      if( opts.short ) {
+        return;
+      }
+
+      var c = false;
+      var copts = opts.long.split('');
+      for( var i=0; i < copts.length; i++ ) {
+        var d = copts[i];
+        if( !d.match(INVALID_SHORT_ARG_REGEX) && !this.short[d] ) {
+          c = d;
+          break;
+        }
+      }
+      if(c) {
+        opts.short = c;
+        this.short[c] = name;
+      }
+    }, this);
+};
+
+Parser.prototype._collect_argument_parameters = function(args, start_at) {
+  var params = []
+  var pos = start_at
+  while(args[pos] && !args[pos].match(PARAM_RE) && !underscore.include(this.stop_words, args[pos])) {
+    params.push(args[pos]);
+    pos++;
+  }
+  return params;
+};
+
+// The long options (and --no- forms of negatable flags) that start with
+// +prefix+, as {arg, sym, negated}.
+Parser.prototype._abbreviation_candidates = function(prefix) {
+  var candidates = [];
+  for( var long in this.long ) {
+    var sym = this.long[long];
+    if( long.indexOf(prefix) == 0 ) {
+      candidates.push({arg: "--"+long, sym: sym, negated: false});
+    }
+    if( this.specs[sym].negatable && ("no-"+long).indexOf(prefix) == 0 ) {
+      candidates.push({arg: "--no-"+long, sym: sym, negated: true});
+    }
+  }
+  return candidates;
+};
+
+// What +arg+, an unknown option or word, may have been meant to be: the
+// long options (or the short ones, for a short option) and stop words
+// within #suggestion_distance of it, closest first.
+Parser.prototype._suggestions = function(arg) {
+  if( this._suggestion_distance === null ) {
+    return [];
+  }
+
+  var candidates = [];
+  if( arg.match(/^--/) ) {
+    for( var long in this.long ) {
+      candidates.push("--"+long);
+      if( this.specs[this.long[long]].negatable ) {
+        candidates.push("--no-"+long);
+      }
+    }
+    candidates = candidates.concat(this.stop_words);
+  }
+  else if( arg.match(/^-/) ) {
+    for( var short in this.short ) {
+      candidates.push("-"+short);
+    }
+  }
+  else {
+    candidates = this.stop_words.concat(underscore.keys(this._find_plugins()));
+  }
+
+  var word = arg.replace(/^--?/, '').toLowerCase();
+  var found = [];
+  candidates.forEach(function(candidate, i) {
+    var name = candidate.replace(/^--?/, '').toLowerCase();
+    var distance = edit_distance(word, name);
+    // a one-letter option is always one edit from any other
+    if( distance <= this._suggestion_distance && distance < name.length ) {
+      found.push({candidate: candidate, distance: distance, order: i});
+    }
+  }, this);
+  found.sort(function(a, b) { return (a.distance - b.distance) || (a.order - b.order); });
+  return underscore.uniq(underscore.pluck(found, 'candidate'));
+};
+
+// The number of insertions, deletions, substitutions and swaps of two
+// neighbouring characters it takes to turn +a+ into +b+.
+var edit_distance = function(a, b) {
+  var d = [];
+  for( var i = 0; i <= a.length; i++ ) {
+    d[i] = [i];
+  }
+  for( var j = 1; j <= b.length; j++ ) {
+    d[0][j] = j;
+  }
+  for( var i = 1; i <= a.length; i++ ) {
+    for( var j = 1; j <= b.length; j++ ) {
+      var cost = (a.charAt(i-1) == b.charAt(j-1)) ? 0 : 1;
+      d[i][j] = Math.min(d[i-1][j] + 1, d[i][j-1] + 1, d[i-1][j-1] + cost);
+      if( i > 1 && j > 1 && a.charAt(i-1) == b.charAt(j-2) && a.charAt(i-2) == b.charAt(j-1) ) {
+        d[i][j] = Math.min(d[i][j], d[i-2][j-2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// Whether the option +sym+ (if there is one) takes a parameter.
+Parser.prototype._takes_parameter = function(sym) {
+  var spec = this.specs[sym];
+  return !!spec && spec.type != 'flag' && spec.type != COUNT_TYPE;
+};
+
+Parser.prototype._each_arg = function(args, callback) {
+  var remains = [];
+  var i = 0;
+
+  while (i < args.length) {
+    if(underscore.include(this.stop_words, args[i])) {
+      return remains.concat(args.slice(i));
+    }
+
+    if( args[i].match(/^--$/) ) { // arg terminator
+      return remains.concat(args.slice((i + 1)));
+    }
+    else if( m = args[i].match(/^--(\S+?)=(.*)$/) ) { // long argument with equals
+      callback.call(this,"--"+m[1], [m[2]], i, i);
+      i++;
+    }
+    else if( args[i].match( /^--(\S+)$/) ) { // long argument
+      params = this._collect_argument_parameters(args, i + 1)
+      if( params.length > 0 ) {
+        var num_params_taken = callback.call(this,args[i], params, i, i + 1);
+        if(!num_params_taken) {
+          if(this._stop_on_unknown) {
+            return remains.concat(args.slice(i + 1));
+          }
+          else {
+            remains.concat(params);
+          }
+        }
+        i += 1 + num_params_taken;
+      }
+      else { // long argument no parameter
+        callback.call(this,args[i], null, i);
+        i++;
+      }
+    }
+    else if( (m = args[i].match(/^-(\S+)$/)) && !args[i].match(FLOAT_RE) && !args[i].match(INTEGER_RE) ) { // one or more short arguments
+      var shortargs = m[1].split('');
+      for( var j = 0; j < shortargs.length; j++ ) {
+        var a = shortargs[j];
+        if(j == (shortargs.length - 1)) {
+          params = this._collect_argument_parameters(args, i + 1)
+          if(params.length > 0) {
+            var num_params_taken = callback.call(this,"-"+a, params, i, i + 1);
+            if(!num_params_taken) {
+              if(this._stop_on_unknown) {
+                return remains.concat(args.slice(i + 1));
+              }
+              else {
+                remains.concat(params);
+              }
+            }
+            i += 1 + num_params_taken;
+          }
+          else { // argument no parameter
+            callback.call(this,"-"+a, null, i);
+            i += 1
+          }
+        }
+        else if( this._takes_parameter(this.short[a]) ) { // the rest of the bundle is its parameter, as in -n5
+          callback.call(this,"-"+a, [shortargs.slice(j + 1).join('')], i, i);
+          i += 1;
+          break;
+        }
+        else {
+          callback.call(this,"-"+a, null, i);
+        }
+      }
+    }
+    else {
+      if(this._stop_on_unknown) {
+        return remains.concat(args.slice(i));
+      }
+      else {
+        remains.push(args[i]);
+        i++;
+      }
+    }
+  }
+
+  return remains;
+};
+
+// The value of an +io+ or +output+ option. The file isn't opened until
+// the +stream+ property is first read; that gives a readable (for +io+)
+// or writable (for +output+) Node stream, which is process.stdin or
+// process.stdout (or process.stderr) for the special names. Files opened
+// this way are closed when the process exits, if they aren't already.
+var LazyStream = exports.LazyStream = function(name, writing) {
+  this.path = name;
+  this.writing = writing;
+  this._stream = null;
+};
+
+Object.defineProperty(LazyStream.prototype, 'stream', {
+  get: function() {
+    if( !this._stream ) {
+      this._stream = this._open();
+    }
+    return this._stream;
+  }
+});
+
+LazyStream.prototype._open = function() {
+  if( this.writing ) {
+    if( this.path == '-' || this.path == 'stdout' ) {
+      return process.stdout;
+    }
+    else if( this.path == 'stderr' ) {
+      return process.stderr;
+    }
+    return track_open_file(fs.createWriteStream(this.path, {fd: fs.openSync(this.path, 'w')}));
+  }
+  else {
+    if( this.path == '-' || this.path == 'stdin' ) {
+      return process.stdin;
+    }
+    return track_open_file(fs.createReadStream(this.path, {fd: fs.openSync(this.path, 'r')}));
+  }
+};
+
+// Whether the stream has been opened yet.
+LazyStream.prototype.isOpen = function() {
+  return this._stream !== null;
+};
+
+// Closes the file, if it was opened. Standard streams are left alone.
+// Returns a promise of the file having closed, which for +output+ options
+// means everything written to it is in it. +callback+, if given, is
+// called then too.
+LazyStream.prototype.close = function(callback) {
+  var closed = Promise.resolve();
+  if( this._stream && this._stream !== process.stdin && this._stream !== process.stdout && this._stream !== process.stderr ) {
+    closed = close_file(this._stream);
+  }
+  if( callback ) {
+    closed.then(function() { callback(); });
+  }
+  return closed;
+};
+
+LazyStream.prototype.toString = function() {
+  return this.path;
+};
+
+// File streams opened by LazyStreams that haven't closed yet.
+var open_files = [];
+var closing_on_exit = false;
+
+var track_open_file = function(stream) {
+  if( !closing_on_exit ) {
+    process.on('exit', close_open_files);
+    closing_on_exit = true;
+  }
+  open_files.push(stream);
+  stream.once('close', function() {
+    open_files = underscore.without(open_files, stream);
+  });
+  return stream;
+};
+
+// Ends a file stream opened by a LazyStream (or, for reading, stops
+// it), and returns a promise of it having closed.
+var close_file = function(stream) {
+  return new Promise(function(resolve) {
+    if( !underscore.include(open_files, stream) ) { // closed already
+      resolve();
+      return;
+    }
+    stream.once('close', resolve);
+    if( stream instanceof fs.WriteStream ) {
+      stream.end();
+    }
+    else {
+      stream.destroy();
+    }
+  });
+};
+
+// Closes every file LazyStreams have opened, waiting for what's been
+// written to them to get there. Trollop:'run' does this before exiting.
+var close_all_files = function() {
+  return Promise.all(underscore.map(open_files, close_file));
+};
+
+// Only synchronous work is possible once the process is exiting.
+var close_open_files = function() {
+  open_files.forEach(function(stream) {
+    try {
+      fs.closeSync(stream.fd);
+    }
+    catch(e) {
+      // already closed, or never mind
+    }
+  });
+  open_files = [];
+};
+
+// Types added with Trollop:'registerType', by name. Plural (multi-value)
+// variants have entries of their own.
+var registered_types = {};
+
+// Adds a type of option value, usable as the +'type'+ of #opt in every
+// parser. +definition+ can have the following members:
+//
+// [+parse+] A function converting a commandline string to a value. It
+//           should throw (or return undefined) if the string is invalid;
+//           the message of what it throws is included in the error.
+// [+placeholder+] What stands for the value in the help, e.g. +url+
+//                 for <url>. Defaults to +name+.
+// [+plural+] The name of the multi-value variant. Defaults to +name+
+//            with an 's' on the end.
+// [+description+] How the error message refers to a value of this type,
+//                 as in "option '--home' needs a URL". Defaults to "a"
+//                 followed by +name+.
+// [+klass+] A constructor. A +'default'+ that is an instance of it (or
+//           an array of them) implies this type, and it can also be
+//           given as the +'type'+ itself.
+//
+//   trollopjs.registerType('regexp', {parse: function(s) { return new RegExp(s); }, klass: RegExp});
+//
+// Use Parser#registerType to add a type to a single parser.
+exports.registerType = function(name, definition) {
+  register_type(registered_types, name, definition);
+};
+
+// Removes a type added with Trollop:'registerType' (and its plural), e.g.
+// at the end of a test.
+exports.unregisterType = function(name) {
+  var type = registered_types[name];
+  if( type && !type.multi ) {
+    delete registered_types[type.name];
+    delete registered_types[type.plural];
+  }
+};
+
+var register_type = function(types, name, definition) {
+  if( typeof name != 'string' || name.length < 1 ) {
+    throw new SpecError("a type name must be a non-empty string");
+  }
+  if( !definition || typeof definition.parse != 'function' ) {
+    throw new SpecError("type '"+name+"' needs a parse function");
+  }
+
+  var type = {
+    name: name,
+    parse: definition.parse,
+    placeholder: definition.placeholder || name,
+    plural: definition.plural || (name + 's'),
+    description: definition.description || ("a " + name),
+    klass: definition.klass || null,
+    multi: false
+  };
+  [type.name, type.plural].forEach(function(n) {
+    if( underscore.include(TYPES, n) ) {
+      throw new SpecError("type '"+n+"' is built in and can't be registered");
+    }
+  });
+
+  types[type.name] = type;
+  types[type.plural] = underscore.extend(underscore.clone(type), {name: type.plural, multi: true});
+};
+
+// Where Trollop:'options' and #die send their output, and how they
+// leave the program. Replace these to capture the output or to keep the
+// process alive, e.g. in tests.
+exports.stdout = process.stdout;
+exports.stderr = process.stderr;
+exports.exit = function(code) { process.exit(code); };
+
+// The exit code used when the commandline can't be parsed, or when #die
+// is called.
+exports.error_exit_code = 1;
+
+// The exit code Trollop:'run' uses when the user presses Ctrl-C.
+exports.interrupt_exit_code = 130;
+
+// Returns the current time in milliseconds. Relative dates like 'now' and
+// '3 days ago' are worked out from it; replace it to make them
+// deterministic, e.g. in tests.
+exports.clock = function() { return Date.now(); };
+
+exports.options = function() {
   var args =  Array.prototype.slice.call(arguments);
   if(args.length > 1) {
     var argv = args.shift();
@@ -869,27 +3015,175 @@ exports.options = function() {
     this.p.leftovers.forEach(function(l) {
         argv.push(l);
       });
+    var status = this.p.dispatch(vals);
+    if( vals.plugin ) {
+      exports.exit(status);
+    }
     return vals;
   }
   catch(err) {
-    if( err == HelpNeeded ) {
-      this.p.educate();
-      process.exit(0);
+    exports.exit(report_parse_error(this.p, err));
+    return null;
+  }
+};
+
+// Shows the help or the version that +err+ asks for, or the commandline
+// error it is, and returns the exit code to leave with. Throws +err+ if
+// it's none of those.
+var report_parse_error = function(parser, err) {
+  if( err instanceof HelpNeeded ) {
+    (err.parser || parser).educate();
+    return 0;
+  }
+  else if( err instanceof VersionNeeded ) {
+    exports.stdout.write(parser._version + "\n");
+    return 0;
+  }
+  else if( err instanceof CommandLineError ) {
+    var suggestions = (err.suggestions || []).slice();
+    if( suggestions.length > 0 ) {
+      var last = suggestions.pop();
+      parser._complain(err.message + ". Did you mean " + (suggestions.length > 0 ? suggestions.join(", ") + " or " : "") + last + "?");
+    }
+    else {
+      parser._complain(err.message);
     }
-    else if( err == VersionNeeded ) {
-      util.puts(this.p._version);
-      process.exit(0);
+    return exports.error_exit_code;
+  }
+  throw err;
+};
+
+// Trollop:'options' for programs that do their work asynchronously.
+// Parses +argv+ (the process's arguments by default, i.e.
+// process.argv.slice(2)) with a parser built from the block, makes the
+// #validate checks and calls the handler of the command given (see
+// #command), waiting for the promises they return. Then closes the files
+// of +io+ and +output+ options, waiting for what was written to them,
+// calls Trollop:'exit' with the exit code, and returns a promise of it:
+//
+// [0] if all went well, unless the handler resolved to a number, which
+//     is used instead. (A plugin's exit status is passed on this way.)
+// [Trollop:'error_exit_code'] for a commandline error, including one a
+//     check throws, reported as Trollop:'options' would.
+// [+err.exit_code+] for any other error +err+ the handler or a check
+//     throws or rejects with, after printing its message; or
+//     Trollop:'error_exit_code' if it has none.
+// [Trollop:'interrupt_exit_code'] if the user pressed Ctrl-C.
+//
+//   trollopjs.run(function() {
+//     this.opt('url', "Where to fetch from", {type: 'string', required: true});
+//     this.command('get', "Fetch it", null, function(vals, leftovers, cancellation) {
+//       return fetch(vals['url'], cancellation);
+//     });
+//   });
+//
+// The handler and checks are passed a cancellation as their third
+// argument. Ctrl-C sets its +cancelled+ to true and calls the functions
+// given to its +on_cancel+, which should make the work stop early. A
+// second Ctrl-C exits straight away.
+//
+// Errors in the option specification aren't caught; the promise is
+// rejected with them.
+exports.run = function() {
+  var args =  Array.prototype.slice.call(arguments);
+  if(args.length > 1) {
+    var argv = args.shift();
+  }
+  else {
+    var argv = process.argv.slice(2);
+  }
+  var self = this;
+  var p = null;
+  var vals = null;
+
+  var cancellation = new Cancellation();
+  var interrupt = function() {
+    if( cancellation.cancelled ) {
+      exports.exit(exports.interrupt_exit_code);
     }
     else {
-      if (err.message) util.puts(err.message);
-      if (err.stack) util.puts(err.stack);
-    }
-    /*
-    CommandlineError => e
-    $stderr.puts "Error: #{e.message}."
-    $stderr.puts "Try --help for help."
-    exit(-1)
-    */
-    return null;
+      cancellation._cancel();
+    }
+  };
+  process.on('SIGINT', interrupt);
+
+  return Promise.resolve().then(function() {
+    p = self.p = new Parser(args);
+    vals = p.parse(argv);
+    argv.splice(0, argv.length);
+    p.leftovers.forEach(function(l) {
+        argv.push(l);
+      });
+    return p._validate(vals, cancellation);
+  }).then(function() {
+    return p.dispatch(vals, cancellation);
+  }).then(function(result) {
+    return (typeof result == 'number') ? result : 0;
+  }, function(err) {
+    if( cancellation.cancelled && !(err instanceof SpecError) ) {
+      return exports.interrupt_exit_code;
+    }
+    if( err instanceof HelpNeeded || err instanceof VersionNeeded || err instanceof CommandLineError ) {
+      return report_parse_error(p, err);
+    }
+    if( err instanceof SpecError ) {
+      throw err;
+    }
+    exports.stderr.write("Error: " + ((err && err.message) || err) + "\n");
+    return (err && typeof err.exit_code == 'number') ? err.exit_code : exports.error_exit_code;
+  }).then(function(code) {
+    process.removeListener('SIGINT', interrupt);
+    code = cancellation.cancelled ? exports.interrupt_exit_code : code;
+    return close_all_files().then(function() {
+      exports.exit(code);
+      return code;
+    });
+  }, function(err) {
+    process.removeListener('SIGINT', interrupt);
+    throw err;
+  });
+};
+
+// What Trollop:'run' passes handlers and checks, to tell them the user
+// pressed Ctrl-C. +cancelled+ says whether they have; +on_cancel(fn)+
+// has +fn+ called when they do (or straight away if they already have).
+var Cancellation = function() {
+  this.cancelled = false;
+  this._listeners = [];
+};
+
+Cancellation.prototype.on_cancel = function(fn) {
+  if( this.cancelled ) {
+    fn();
   }
-}
+  else {
+    this._listeners.push(fn);
+  }
+};
+
+Cancellation.prototype._cancel = function() {
+  var listeners = this._listeners;
+  this.cancelled = true;
+  this._listeners = [];
+  listeners.forEach(function(fn) { fn(); });
+};
+
+// Informs the user that their usage of +arg+ was in some way incorrect,
+// and exits. Only makes sense after Trollop:'options' has been called,
+// since it uses the parser built there. Typically used for semantic
+// checks the parser itself can't do:
+//
+//   var opts = trollopjs.options(function() {
+//     this.opt('volume', "Volume level", {dflt: 3});
+//   });
+//   if(opts.volume > 10) {
+//     trollopjs.die('volume', "must be no greater than 10");
+//   }
+//
+// With only a message, prints that message instead of naming an option.
+exports.die = function(arg, msg) {
+  if(!this.p) {
+    throw new Error("Trollop:'die' can only be called after Trollop:'options'");
+  }
+  this.p.die(arg, msg);
+};
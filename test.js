@@ -1,4 +1,7 @@
 var sys = require('sys');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
 var trollopjs = require('./index');
 
 var assert = require('./dependencies/assert');
@@ -9,6 +12,62 @@ var assert_parses_correctly = function(parser, commandline, expected_opts, expec
   assert.deepEqual(expected_leftovers, parser.leftovers);
 };
 
+// A writable stand-in for stdout/stderr that just remembers what was
+// written to it.
+var string_stream = function() {
+  return {
+    data: "",
+    write: function(s) { this.data += s; return true; }
+  };
+};
+
+// The lines of +parser+'s help message.
+var help_lines = function(parser) {
+  return parser.helpText().replace(/\n$/, "").split("\n");
+};
+
+// Runs +block+ with trollopjs' output streams and exit function replaced,
+// and returns what was written and the exit code asked for.
+var capture_exit = function(block) {
+  var saved = [trollopjs.stdout, trollopjs.stderr, trollopjs.exit];
+  var result = {stdout: string_stream(), stderr: string_stream(), code: null};
+  trollopjs.stdout = result.stdout;
+  trollopjs.stderr = result.stderr;
+  trollopjs.exit = function(code) { result.code = code; };
+  try {
+    result.value = block();
+  }
+  finally {
+    trollopjs.stdout = saved[0];
+    trollopjs.stderr = saved[1];
+    trollopjs.exit = saved[2];
+  }
+  return result;
+};
+
+// Like capture_exit, for a +block+ that returns a promise; returns a
+// promise of what capture_exit returns.
+var capture_run = function(block) {
+  var saved = [trollopjs.stdout, trollopjs.stderr, trollopjs.exit];
+  var result = {stdout: string_stream(), stderr: string_stream(), code: null};
+  trollopjs.stdout = result.stdout;
+  trollopjs.stderr = result.stderr;
+  trollopjs.exit = function(code) { result.code = code; };
+  var restore = function() {
+    trollopjs.stdout = saved[0];
+    trollopjs.stderr = saved[1];
+    trollopjs.exit = saved[2];
+  };
+  return Promise.resolve().then(block).then(function(value) {
+    restore();
+    result.value = value;
+    return result;
+  }, function(err) {
+    restore();
+    throw err;
+  });
+};
+
 
 var tests = {
   "test_unknown_arguments": function() {
@@ -116,8 +175,8 @@ var tests = {
     assert.doesNotThrow(function() { p.opt("argsd", "desc", {dflt: date } ); });
     assert.doesNotThrow(function() { opts = p.parse("--") });
     assert.equal(date.getTime(), opts["argsd"].getTime());
-    assert.doesNotThrow(function() { opts = p.parse(['--argsd', 'Jan 4, 2007']) });
-    assert.equal(Date.parse('Jan 4, 2007'), opts["argsd"]);
+    assert.doesNotThrow(function() { opts = p.parse(['--argsd', '2007-01-04']) });
+    assert.equal(new Date(2007, 0, 4).getTime(), opts["argsd"].getTime());
     assert.throws(function() { p.parse("--argsd hello".split(/\s/)) });
 
     // single arg: string
@@ -151,12 +210,12 @@ var tests = {
     assert.throws(function() { p.parse("--argmf hello".split(/\s/)) });
 
     // multi args: dates
-    dates = [new Date(), Date.parse('Jan 4, 2007')]
+    dates = [new Date(), new Date(2007, 0, 4)]
     assert.doesNotThrow(function() { p.opt("argmd", "desc", {dflt: dates } ); });
     assert.doesNotThrow(function() { opts = p.parse("--") });
     assert.deepEqual(dates, opts["argmd"]);
-    assert.doesNotThrow(function() { opts = p.parse(['--argmd', 'Jan 4, 2007']) });
-    assert.deepEqual([Date.parse('Jan 4, 2007')], opts["argmd"]);
+    assert.doesNotThrow(function() { opts = p.parse(['--argmd', '2007-01-04']) });
+    assert.deepEqual([new Date(2007, 0, 4)], opts["argmd"]);
     assert.throws(function() { p.parse("--argmd hello".split(/\s/)) });
 
     // multi args: strings
@@ -258,11 +317,9 @@ var tests = {
         p.parse([]);
       });
 
-    /* TODO: make this work
-    sio = StringIO.new "w"
+    var sio = string_stream();
     p.educate(sio);
-    assert sio.string =~ /--arg:\s+desc/
-    */
+    assert.ok(sio.data.match(/--arg:\s+desc/));
 
     assert.throws(function() { p.parse("-a".split(/\s/)); });
   },
@@ -303,9 +360,42 @@ var tests = {
 
     opts = p.parse("--defaultfalse --defaulttrue".split(/\s/));
     assert.equal(true, opts["defaultfalse"]);
+    assert.equal(true, opts["defaulttrue"]);
+
+    opts = p.parse("--no-defaultfalse --no-defaulttrue".split(/\s/));
+    assert.equal(false, opts["defaultfalse"]);
     assert.equal(false, opts["defaulttrue"]);
   },
 
+  "test_negated_flags": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt("goat", "desc", {dflt: true, short: "g"} );
+    p.opt("monkey", "desc", {negatable: false} );
+    p.opt("no_cache", "desc");
+    p.opt("cache", "desc", {dflt: true} );
+
+    opts = p.parse("--goat --no-goat".split(/\s/));
+    assert.equal(false, opts["goat"]);
+    assert.ok(opts["goat_given"]);
+    opts = p.parse("--no-goat -g".split(/\s/));
+    assert.equal(true, opts["goat"]);
+    assert.throws(function() { p.parse("--no-goat --no-goat".split(/\s/)); }, trollopjs.CommandLineError);
+    assert.throws(function() { p.parse("-g --goat".split(/\s/)); }, trollopjs.CommandLineError);
+
+    assert.throws(function() { p.parse("--no-monkey".split(/\s/)); }, trollopjs.UnknownOptionError);
+    assert.throws(function() { p.parse("--no-help".split(/\s/)); }, trollopjs.UnknownOptionError);
+
+    // an option that's really called no-<something> wins
+    opts = p.parse("--no-cache".split(/\s/));
+    assert.equal(true, opts["no_cache"]);
+    assert.equal(true, opts["cache"]);
+
+    var help = p.helpText();
+    assert.ok(help.match(/--\[no-\]goat, -g:/));
+    assert.ok(help.match(/ --monkey, -m:/));
+  },
+
   "test_special_flags_work": function() {
     var p = new trollopjs.Parser();
 
@@ -370,30 +460,52 @@ var tests = {
     assert.deepEqual([], p.leftovers);
   },
 
-  /* TODO: make this work
   "test_wrap": function() {
     var p = new trollopjs.Parser();
 
-    assert.equal([""], p.wrap(""));
-    assert.equal(["a"], p.wrap("a"));
-    assert.equal(["one two", "three"], p.wrap("one two three", :width => 8));
-    assert.equal(["one two three"], p.wrap("one two three", :width => 80));
-    assert.equal(["one", "two", "three"], p.wrap("one two three", :width => 3));
-    assert.equal(["onetwothree"], p.wrap("onetwothree", :width => 3));
-    assert.equal([
+    assert.equal("", p.wrap(""));
+    assert.equal("a", p.wrap("a"));
+    assert.deepEqual(["one two", "three"], p.wrap("one two three", {width: 8}).split("\n"));
+    assert.deepEqual(["one two three"], p.wrap("one two three", {width: 80}).split("\n"));
+    assert.deepEqual(["one", "two", "three"], p.wrap("one two three", {width: 5}).split("\n"));
+    assert.deepEqual(["one", "two", "thr", "ee"], p.wrap("onetwothree", {width: 3}).split("\n"));
+    assert.deepEqual([
       "Test is an awesome program that does something very, very important.",
       "",
       "Usage:",
       "  test [options] <filenames>+",
-      "where [options] are:"], p.wrap(<<EOM, :width => 100)
-Test is an awesome program that does something very, very important.
+      "where [options] are:"], p.wrap(
+        "Test is an awesome program that does something very, very important.\n" +
+        "\n" +
+        "Usage:\n" +
+        "  test [options] <filenames>+\n" +
+        "where [options] are:", {width: 100}).split("\n"));
+  },
 
-Usage:
-  test [options] <filenames>+
-where [options] are:
-EOM
+  "test_wrap_keeps_indentation_and_bullets": function() {
+    assert.deepEqual([
+      "Modes:",
+      "  - fast: skips all the",
+      "    checks",
+      "  12. safe: checks",
+      "      everything twice"], trollopjs.wrap(
+        "Modes:\n" +
+        "  - fast: skips all the checks\n" +
+        "  12. safe: checks everything twice", {width: 24}).split("\n"));
+
+    assert.deepEqual(["a  b", "c"], trollopjs.wrap("a  b   c", {width: 5}).split("\n"));
+    assert.deepEqual(["first", "   second", "   third"],
+                     trollopjs.wrap("first second\nthird", {width: 6, prefix: 3}).split("\n"));
+    assert.equal(2, trollopjs.wrap(new Array(12).join("abcdefgh ")).split("\n").length); // 80 wide by default
+  },
+
+  "test_pad_str": function() {
+    var p = new trollopjs.Parser();
+
+    assert.equal("  abc", p.padStr("abc", 5));
+    assert.equal("..abc", p.padStr("abc", 5, "."));
+    assert.equal("abc", p.padStr("abcdef", 3));
   },
-  */
 
   "test_floating_point_formatting": function() {
     var p = new trollopjs.Parser();
@@ -430,19 +542,64 @@ EOM
   "test_date_formatting": function() {
     var p = new trollopjs.Parser();
 
-    p.opt('arg', "desc", {type: 'date', short: 'd'} );
+    p.opt('arg', "desc", {type: 'date', short: 'd', formats: ['MMM DD, YYYY', 'DD.MM.YYYY HH:mm']} );
     opts = null;
     assert.doesNotThrow(function() { opts = p.parse(['-d', 'Jan 4, 2007']) });
-    assert.equal(Date.parse('Jan 4, 2007'), opts['arg']);
-    /*
-    begin
-      require 'chronic'
-      assert.doesNotThrow(function() { opts = p.parse(['-d', 'today']) });
-      assert.equal(Date.today, opts['arg']);
-    rescue LoadError
-      // chronic is not available
-    e nd
-    */
+    assert.ok(opts['arg'] instanceof Date);
+    assert.equal(new Date(2007, 0, 4).getTime(), opts['arg'].getTime());
+    assert.doesNotThrow(function() { opts = p.parse(['-d', '4.1.2007 13:05']) });
+    assert.equal(new Date(2007, 0, 4, 13, 5).getTime(), opts['arg'].getTime());
+    assert.doesNotThrow(function() { opts = p.parse(['-d', '2007-01-04T13:05:10.5']) });
+    assert.equal(new Date(2007, 0, 4, 13, 5, 10, 500).getTime(), opts['arg'].getTime());
+    assert.doesNotThrow(function() { opts = p.parse(['-d', '2007-01-04 13:05Z']) });
+    assert.equal(Date.UTC(2007, 0, 4, 13, 5), opts['arg'].getTime());
+    assert.doesNotThrow(function() { opts = p.parse(['-d', '2007-01-04T13:05:00-05:30']) });
+    assert.equal(Date.UTC(2007, 0, 4, 18, 35), opts['arg'].getTime());
+
+    ['2007-02-30', '2007-13-01', '4 Jan 2007', 'Foo 4, 2007', '31.2.2007 10:00', '2007-01-04T25:00'].forEach(function(s) {
+      assert.throws(function() { p.parse(['-d', s]); }, trollopjs.InvalidValueError);
+    });
+
+    assert.throws(function() { p.opt('when', "desc", {type: 'string', timezone: 'UTC'}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('when', "desc", {type: 'date', timezone: 'Mars/Olympus'}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('when', "desc", {type: 'date', formats: ['nothing']}); }, trollopjs.SpecError);
+  },
+
+  "test_relative_dates": function() {
+    var saved_clock = trollopjs.clock;
+    trollopjs.clock = function() { return Date.UTC(2010, 5, 15, 12, 30); }; // 2010-06-15 12:30 UTC
+
+    try {
+      var p = new trollopjs.Parser();
+      p.opt('when', "desc", {type: 'date', timezone: 'UTC', formats: ['HH:mm']} );
+      p.opt('since', "desc", {type: 'date', timezone: '+02:00', dflt: 'yesterday'} );
+
+      var when = function(s) { return p.parse(['--when', s])['when'].getTime(); };
+      assert.equal(Date.UTC(2010, 5, 15, 12, 30), when('now'));
+      assert.equal(Date.UTC(2010, 5, 15), when('today'));
+      assert.equal(Date.UTC(2010, 5, 14), when('Yesterday'));
+      assert.equal(Date.UTC(2010, 5, 16), when('tomorrow'));
+      assert.equal(Date.UTC(2010, 5, 15, 10, 30), when('now-2h'));
+      assert.equal(Date.UTC(2010, 5, 16, 13, 0), when('now+1d30m'));
+      assert.equal(Date.UTC(2010, 5, 15, 11, 0), when('today + 12h - 1h'));
+      assert.equal(Date.UTC(2010, 5, 12, 12, 30), when('3 days ago'));
+      assert.equal(Date.UTC(2010, 5, 29, 12, 30), when('in 2 weeks'));
+      assert.equal(Date.UTC(2010, 5, 15, 12, 25), when('5 mins ago'));
+      assert.equal(Date.UTC(2009, 5, 15, 12, 30), when('1 year ago'));
+      assert.equal(Date.UTC(2010, 5, 15, 9, 15), when('09:15'));
+      assert.equal(Date.UTC(2010, 5, 15, 0, 0), when('2010-06-15'));
+
+      ['now-2x', 'later', '3 fortnights ago', 'in two days'].forEach(function(s) {
+        assert.throws(function() { when(s); }, trollopjs.InvalidValueError);
+      });
+
+      // midnight yesterday, two hours east of UTC
+      assert.equal(Date.UTC(2010, 5, 13, 22, 0), p.parse([])['since'].getTime());
+      assert.equal(Date.UTC(2010, 5, 14, 22, 0), p.parse(['--since', 'today'])['since'].getTime());
+    }
+    finally {
+      trollopjs.clock = saved_clock;
+    }
   },
 
   "test_short_options_cant_be_numeric": function() {
@@ -584,6 +741,92 @@ EOM
     assert.throws(function() { opts = p.parse("-abcd 3.14 2.41".split(/\s/)); } );
   },
 
+  "test_attached_short_option_values": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('num', "desc", {short: "n", type: 'int'} );
+    p.opt('extract', "desc", {short: "x"} );
+    p.opt('verbose', "desc", {short: "v", type: 'count'} );
+    p.opt('file', "desc", {short: "f", type: 'string'} );
+    p.opt('ratio', "desc", {short: "r", type: 'float'} );
+    p.opt('ints', "desc", {short: "i", type: 'ints'} );
+    p.opt('define', "desc", {short: "D", type: 'map'} );
+    p.opt('tags', "desc", {short: "t", type: 'string', separator: ','} );
+    p.opt('color', "desc", {short: "c", type: 'string', const: 'auto'} );
+    p.opt('point', "desc", {short: "p", type: 'ints', nargs: 2} );
+    p.opt('name', "desc", {short: "N", type: 'string', multi: true} );
+
+    var opts = null;
+    opts = p.parse(["-n5"]);
+    assert.equal(5, opts['num']);
+    assert.deepEqual([], p.leftovers);
+    assert.equal(-5, p.parse(["-n-5"])['num']);
+    assert.equal(255, p.parse(["-n0xff"])['num']);
+    assert.equal(5, p.parse(["-n", "5"])['num']);
+    assert.equal(1.5, p.parse(["-r1.5"])['ratio']);
+
+    // flags, then an option taking the rest of the bundle
+    opts = p.parse(["-xvfarchive.tar", "rest"]);
+    assert.equal(true, opts['extract']);
+    assert.equal(1, opts['verbose']);
+    assert.equal("archive.tar", opts['file']);
+    assert.deepEqual(["rest"], p.leftovers);
+
+    // ... or the next argument, if it comes last
+    opts = p.parse(["-xvf", "archive.tar", "rest"]);
+    assert.equal("archive.tar", opts['file']);
+    assert.deepEqual(["rest"], p.leftovers);
+
+    // the value can look like options
+    opts = p.parse(["-fxv"]);
+    assert.equal("xv", opts['file']);
+    assert.equal(false, opts['extract']);
+    assert.equal(0, opts['verbose']);
+    assert.equal("-x", p.parse(["-f-x"])['file']);
+    assert.equal("=x", p.parse(["-f=x"])['file']);
+
+    // pure flag bundles keep working
+    opts = p.parse(["-xvv"]);
+    assert.equal(true, opts['extract']);
+    assert.equal(2, opts['verbose']);
+    assert.equal(3, p.parse(["-vvn3", "-v"])['num']);
+    assert.equal(3, p.parse(["-vvn3", "-v"])['verbose']);
+
+    // an attached value is the only one
+    opts = p.parse(["-i1", "2", "3"]);
+    assert.deepEqual([1], opts['ints']);
+    assert.deepEqual(["2", "3"], p.leftovers);
+    assert.throws(function() { p.parse(["-p1", "2"]); }, trollopjs.MissingParameterError);
+    assert.deepEqual([1, 2], p.parse(["-p", "1", "2"])['point']);
+
+    assert.deepEqual({NAME: "foo", debug: true}, p.parse(["-DNAME=foo", "-Ddebug"])['define']);
+    assert.deepEqual(["a", "b"], p.parse(["-ta,b"])['tags']);
+    assert.deepEqual(["a", "b"], p.parse(["-Na", "-N", "b"])['name']);
+
+    // attached values count as attached for optional values
+    assert.equal("always", p.parse(["-calways"])['color']);
+    assert.equal("auto", p.parse(["-xc"])['color']);
+    assert.equal("auto", p.parse(["-c", "always"])['color']);
+
+    assert.throws(function() { p.parse(["-nfive"]); }, trollopjs.InvalidValueError);
+    assert.throws(function() { p.parse(["-xn"]); }, trollopjs.MissingParameterError);
+    assert.throws(function() { p.parse(["-n5", "-n6"]); }, trollopjs.CommandLineError);
+    assert.throws(function() { p.parse(["-xq5"]); }, trollopjs.UnknownOptionError);
+    assert.throws(function() { p.parse(["-xx"]); }, trollopjs.CommandLineError);
+
+    // negative numbers on their own are still leftovers
+    opts = p.parse(["-5", "-n", "-5"]);
+    assert.equal(-5, opts['num']);
+    assert.deepEqual(["-5"], p.leftovers);
+
+    var err = null;
+    try { p.parse(["-xnfive"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.InvalidValueError);
+    assert.equal("num", err.option);
+    assert.equal("five", err.token);
+    assert.equal(0, err.index);
+  },
+
   "test_long_options_with_multiple_options": function() {
     var p = new trollopjs.Parser();
 
@@ -694,47 +937,34 @@ EOM
   "test_help_has_default_banner": function() {
     var p = new trollopjs.Parser();
 
-    /* TODO: make this work
-    sio = StringIO.new "w"
     p.parse([]);
-    p.educate(sio);
-    help = sio.string.split "\n"
-    assert help[0] =~ /options/i
-    assert.equal(2, help.length); // options, then -h);
+    var help = help_lines(p);
+    assert.ok(help[0].match(/options/i));
+    assert.equal(2, help.length); // options, then -h
 
-    @p = Parser.new
+    p = new trollopjs.Parser();
     p.version("my version");
-    sio = StringIO.new "w"
     p.parse([]);
-    p.educate(sio);
-    help = sio.string.split "\n"
-    assert help[0] =~ /my version/i
-    assert.equal(4, help.length); // version, options, -h, -v);
+    help = help_lines(p);
+    assert.ok(help[0].match(/my version/i));
+    assert.equal(5, help.length); // version, blank line, options, -v, -h
 
-    @p = Parser.new
+    p = new trollopjs.Parser();
     p.banner("my own banner");
-    sio = StringIO.new "w"
     p.parse([]);
-    p.educate(sio);
-    help = sio.string.split "\n"
-    assert help[0] =~ /my own banner/i
-    assert.equal(2, help.length); // banner, -h);
-    */
+    help = help_lines(p);
+    assert.ok(help[0].match(/my own banner/i));
+    assert.equal(3, help.length); // banner, blank line, -h
   },
 
   "test_help_preserves_positions": function() {
     var p = new trollopjs.Parser();
 
-    /* TODO: make this work
     p.opt('zzz', "zzz");
     p.opt('aaa', "aaa");
-    sio = StringIO.new "w"
-    p.educate(sio);
-
-    help = sio.string.split "\n"
-    assert help[1] =~ /zzz/
-    assert help[2] =~ /aaa/
-    */
+    var help = help_lines(p);
+    assert.ok(help[1].match(/zzz/));
+    assert.ok(help[2].match(/aaa/));
   },
 
   "test_version_and_help_short_args_can_be_overridden": function() {
@@ -817,8 +1047,8 @@ EOM
       throw "no error thrown"
     }
     catch(e) {
-      assert.ok(e.match(/--one/));
-      assert.ok(e.match(/--two/));
+      assert.ok(e.message.match(/--one/));
+      assert.ok(e.message.match(/--two/));
     }
   },
 
@@ -865,8 +1095,8 @@ EOM
       throw "no error thrown"
     }
     catch(e) {
-      assert.ok(e.match(/--one/));
-      assert.ok(e.match(/--two/));
+      assert.ok(e.message.match(/--one/));
+      assert.ok(e.message.match(/--two/));
     }
 
     try {
@@ -874,8 +1104,8 @@ EOM
       throw "no error thrown"
     }
     catch(e) {
-      assert.ok(e.match(/--one/));
-      assert.ok(e.match(/--two/));
+      assert.ok(e.message.match(/--one/));
+      assert.ok(e.message.match(/--two/));
     }
   },
 
@@ -891,7 +1121,7 @@ EOM
       throw "should have failed on a missing req"
     }
     catch(e) {
-      assert.ok( e.match(/arg2/), "didn't mention arg2 in the error msg: " + e);
+      assert.ok( e.message.match(/arg2/), "didn't mention arg2 in the error msg: " + e);
     }
 
     try {
@@ -899,7 +1129,7 @@ EOM
       throw "should have failed on a missing req"
     }
     catch(e) {
-      assert.ok( e.match(/arg1/), "didn't mention arg1 in the error msg: " + e.message);
+      assert.ok( e.message.match(/arg1/), "didn't mention arg1 in the error msg: " + e.message);
     }
 
     assert.doesNotThrow(function() { p.parse("--arg1 --arg2".split(/\s/)) } );
@@ -1152,9 +1382,1537 @@ EOM
     opts = p.parse("");
     assert.deepEqual([], opts['arg1']);
   },
+
+  "test_negative_numbers_as_parameters": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('offset', "desc", {type: 'int'} );
+    p.opt('scale', "desc", {type: 'float', short: 's'} );
+    p.opt('ints', "desc", {type: 'ints', short: 'i'} );
+    p.opt('floats', "desc", {type: 'floats', short: 'f'} );
+    p.opt('verbose', "desc", {short: 'v'} );
+
+    opts = p.parse("--offset -5 -s -2.5".split(/\s/));
+    assert.equal(-5, opts['offset']);
+    assert.equal(-2.5, opts['scale']);
+    opts = p.parse("--offset=-5 --scale=-.5".split(/\s/));
+    assert.equal(-5, opts['offset']);
+    assert.equal(-0.5, opts['scale']);
+
+    opts = p.parse("-i 1 -2 3 -f -1.5 2 -.5".split(/\s/));
+    assert.deepEqual([1, -2, 3], opts['ints']);
+    assert.deepEqual([-1.5, 2, -0.5], opts['floats']);
+    assert.deepEqual([], p.leftovers);
+
+    // after an option that takes no number, it's just a leftover
+    opts = p.parse("-v -5 --offset -3 -7.5".split(/\s/));
+    assert.equal(true, opts['verbose']);
+    assert.equal(-3, opts['offset']);
+    assert.deepEqual(["-5", "-7.5"], p.leftovers);
+
+    assert.throws(function() { p.parse("--offset -5.5".split(/\s/)); }, trollopjs.InvalidValueError);
+    assert.throws(function() { p.parse("--offset --5".split(/\s/)); }, trollopjs.CommandLineError);
+  },
+
+  "test_integer_formats": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('num', "desc", {type: 'int'} );
+    p.opt('nums', "desc", {type: 'ints'} );
+
+    var parse_num = function(s) { return p.parse(["--num", s])['num']; };
+    assert.equal(31, parse_num("0x1F"));
+    assert.equal(31, parse_num("0X1f"));
+    assert.equal(493, parse_num("0o755"));
+    assert.equal(10, parse_num("0b1010"));
+    assert.equal(1000000, parse_num("1_000_000"));
+    assert.equal(0xffff, parse_num("0xff_ff"));
+    assert.equal(-31, parse_num("-0x1F"));
+    assert.equal(5, parse_num("+5"));
+    assert.equal(755, parse_num("0755"));
+    assert.equal(9007199254740991, parse_num("9007199254740991"));
+
+    ["0x", "0xg", "0o8", "0b2", "1__0", "_1", "1_", "1e5", "0x1F.5"].forEach(function(s) {
+      assert.throws(function() { parse_num(s); }, trollopjs.InvalidValueError);
+    });
+
+    var err = null;
+    try { parse_num("9007199254740993"); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.InvalidValueError);
+    assert.ok(err.message.match(/too large/));
+
+    assert.deepEqual([16, -8, 3], p.parse("--nums 0x10 -0o10 0b11".split(/\s/))['nums']);
+  },
+
+  "test_numeric_bounds": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('port', "Port to listen on", {type: 'int', min: 1, max: 65535, dflt: 8080} );
+    p.opt('ratio', "Ratio.", {type: 'float', min: 0} );
+    p.opt('levels', "Levels", {type: 'ints', max: 3} );
+
+    assert.equal(1, p.parse("--port 1".split(/\s/))['port']);
+    assert.equal(65535, p.parse("--port 0xffff".split(/\s/))['port']);
+    assert.equal(0, p.parse("--ratio 0".split(/\s/))['ratio']);
+    assert.deepEqual([1, 3], p.parse("--levels 1 3".split(/\s/))['levels']);
+
+    var err = null;
+    try { p.parse("--port 0".split(/\s/)); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.InvalidValueError);
+    assert.equal("option '--port' must be between 1 and 65535", err.message);
+    assert.equal("0", err.token);
+    assert.equal(1, err.index);
+    assert.throws(function() { p.parse("--port 65536".split(/\s/)); }, trollopjs.InvalidValueError);
+    assert.throws(function() { p.parse("--ratio -0.1".split(/\s/)); }, trollopjs.InvalidValueError);
+    assert.throws(function() { p.parse("--levels 1 4".split(/\s/)); }, trollopjs.InvalidValueError);
+
+    var help = p.helpText();
+    assert.ok(help.match(/Port to listen on \(default: 8080, between 1 and 65535\)/));
+    assert.ok(help.match(/Ratio\. \(At least 0\)/));
+    assert.ok(help.match(/Levels \(at most 3\)/));
+
+    assert.throws(function() { p.opt('name', "desc", {type: 'string', min: 1}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('count', "desc", {type: 'int', min: "1"}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('count', "desc", {type: 'int', min: 2, max: 1}); }, trollopjs.SpecError);
+    assert.doesNotThrow(function() { p.opt('offset', "desc", {dflt: -1, min: -10}); });
+
+    // defaults have to be within the bounds too
+    var err = null;
+    try { p.opt('retries', "desc", {type: 'int', min: 1, max: 10, dflt: 20}); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.SpecError);
+    assert.equal("default 20 is not between 1 and 10", err.message);
+    assert.throws(function() { p.opt('sizes', "desc", {type: 'ints', min: 0, dflt: [1, -1]}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('wait', "desc", {type: 'duration', max: '1m', dflt: '2m'}); }, trollopjs.SpecError);
+  },
+
+  "test_choices": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('mode', "desc", {choices: ['fast', 'safe', 'debug'], dflt: 'safe'} );
+    p.opt('level', "desc", {choices: ['Low', 'High'], case_sensitive: false} );
+    p.opt('tags', "desc", {type: 'strings', choices: ['a', 'b']} );
+    p.opt('only', "desc", {choices: ['x', 'y'], multi: true} );
+
+    assert.equal('string', p.specs['mode'].type);
+    assert.equal('string', p.specs['level'].type);
+    assert.equal('safe', p.parse([])['mode']);
+    assert.equal('debug', p.parse("--mode debug".split(/\s/))['mode']);
+    assert.equal('High', p.parse("--level hIGH".split(/\s/))['level']);
+    assert.deepEqual(['b', 'a'], p.parse("--tags b a".split(/\s/))['tags']);
+    assert.deepEqual(['x', 'y'], p.parse("--only x --only=y".split(/\s/))['only']);
+
+    var err = null;
+    try { p.parse("--mode Fast".split(/\s/)); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.InvalidValueError);
+    assert.equal("option '--mode' must be one of fast, safe, debug", err.message);
+    assert.equal("Fast", err.token);
+    assert.throws(function() { p.parse("--tags a c".split(/\s/)); }, trollopjs.InvalidValueError);
+    assert.throws(function() { p.parse("--only x --only z".split(/\s/)); }, trollopjs.InvalidValueError);
+
+    var help = p.helpText();
+    assert.ok(help.match(/--mode, -m <fast\|safe\|debug>:/));
+    assert.ok(help.match(/--tags, -t <a\|b\+>:/));
+
+    assert.throws(function() { p.opt('num', "desc", {type: 'int', choices: ['1']}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('empty', "desc", {choices: []}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('bad', "desc", {choices: ['a'], dflt: 'b'}); }, trollopjs.SpecError);
+  },
+
+  "test_registered_types": function() {
+    try {
+      trollopjs.registerType('url', {
+        parse: function(s) {
+          if( !s.match(/^https?:\/\//) ) {
+            throw new Error("not an http URL");
+          }
+          return s;
+        },
+        description: "a URL"
+      });
+
+      // regexp has a class, so it stays out of the global registry, where it
+      // would change the type of RegExp defaults for every later test
+      var p = new trollopjs.Parser();
+      p.registerType('regexp', {
+        parse: function(s) { return new RegExp(s); },
+        placeholder: 're',
+        plural: 'regexen',
+        klass: RegExp
+      });
+      p.registerType('semver', {
+        parse: function(s) {
+          var m = s.match(/^(\d+)\.(\d+)\.(\d+)$/);
+          return m ? [parseInt(m[1]), parseInt(m[2]), parseInt(m[3])] : undefined;
+        }
+      });
+
+      p.opt('home', "desc", {type: 'url'} );
+      p.opt('mirrors', "desc", {type: 'urls', short: 'm'} );
+      p.opt('pattern', "desc", {dflt: /x/} );
+      p.opt('excludes', "desc", {dflt: [/a/, /b/]} );
+      p.opt('since', "desc", {type: 'semver'} );
+      p.opt('grep', "desc", {type: RegExp, short: 'g'} );
+      p.opt('upstream', "desc", {type: 'url', dflt: "http://x.org"} );
+      p.opt('min_version', "desc", {type: 'semver', dflt: "1.0.0"} );
+      p.opt('skip', "desc", {type: 'regexen', dflt: ["^\\.", "~$"], short: 'k'} );
+
+      assert.equal('regexp', p.specs['pattern'].type);
+      assert.equal('regexen', p.specs['excludes'].type);
+      assert.equal('regexp', p.specs['grep'].type);
+
+      opts = p.parse("--home http://a.org -m http://b.org http://c.org --pattern ^a --excludes b c --since 1.2.3".split(/\s/));
+      assert.equal("http://a.org", opts['home']);
+      assert.deepEqual(["http://b.org", "http://c.org"], opts['mirrors']);
+      assert.ok(opts['pattern'] instanceof RegExp);
+      assert.equal("^a", opts['pattern'].source);
+      assert.deepEqual(["b", "c"], opts['excludes'].map(function(r) { return r.source; }));
+      assert.deepEqual([1, 2, 3], opts['since']);
+      // string defaults are converted like values from the commandline
+      assert.equal("http://x.org", opts['upstream']);
+      assert.deepEqual([1, 0, 0], opts['min_version']);
+      assert.deepEqual(["^\\.", "~$"], opts['skip'].map(function(r) { return r.source; }));
+      assert.equal("http://a.org", new trollopjs.Parser([function() { this.opt('home', "desc", {type: 'url'}); }]).parse(["--home", "http://a.org"])['home']);
+
+      var err = null;
+      try { p.parse("--home ftp://a.org".split(/\s/)); } catch(e) { err = e; }
+      assert.ok(err instanceof trollopjs.InvalidValueError);
+      assert.equal("option '--home' needs a URL (not an http URL)", err.message);
+      assert.equal("url", err.expected);
+      assert.throws(function() { p.parse("--since 1.2".split(/\s/)); }, trollopjs.InvalidValueError);
+      assert.throws(function() { p.parse("--grep (".split(/\s/)); }, trollopjs.InvalidValueError);
+      p.opt('origin', "desc", {type: 'url', dflt: "ftp://x.org"} );
+      assert.throws(function() { p.parse([]); }, trollopjs.InvalidValueError);
+
+      var help = p.helpText();
+      assert.ok(help.match(/--home, -h <url>:/));
+      assert.ok(help.match(/--mirrors, -m <url\+>:/));
+      assert.ok(help.match(/--excludes, -e <re\+>:/));
+      assert.ok(help.match(/--since, -s <semver>:/));
+
+      // other parsers don't see a parser's own types
+      assert.throws(function() { new trollopjs.Parser().opt('since', "desc", {type: 'semver'}); }, trollopjs.SpecError);
+
+      assert.throws(function() { trollopjs.registerType('int', {parse: parseInt}); }, trollopjs.SpecError);
+      assert.throws(function() { trollopjs.registerType('thing', {plural: 'strings', parse: String}); }, trollopjs.SpecError);
+      assert.throws(function() { trollopjs.registerType('thing', {}); }, trollopjs.SpecError);
+
+      trollopjs.unregisterType('url');
+      assert.throws(function() { new trollopjs.Parser().opt('home', "desc", {type: 'urls'}); }, trollopjs.SpecError);
+      // an option whose type is gone can't be shown in the help
+      assert.throws(function() { p.helpText(); }, trollopjs.SpecError);
+    }
+    finally {
+      trollopjs.unregisterType('url');
+    }
+  },
+
+  "test_io_options": function() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "trollopjs-"));
+    var input = path.join(dir, "input.txt");
+    var output = path.join(dir, "output.txt");
+    fs.writeFileSync(input, "hello");
+
+    try {
+      var p = new trollopjs.Parser();
+      p.opt('in', "desc", {type: 'io', dflt: '-'} );
+      p.opt('out', "desc", {type: 'output', short: 'o'} );
+      p.opt('more', "desc", {type: 'ios'} );
+
+      opts = p.parse([]);
+      assert.ok(opts['in'] instanceof trollopjs.LazyStream);
+      assert.equal(process.stdin, opts['in'].stream);
+      assert.equal(null, opts['out']);
+
+      opts = p.parse(["--in", input, "-o", output, "--more", input, "stdin"]);
+      assert.equal(input, opts['in'].path);
+      assert.ok(!opts['in'].isOpen());
+      assert.ok(!fs.existsSync(output)); // not opened yet
+      assert.ok(opts['out'].stream instanceof fs.WriteStream);
+      assert.ok(opts['out'].isOpen());
+      assert.ok(fs.existsSync(output));
+      assert.ok(opts['in'].stream instanceof fs.ReadStream);
+      assert.equal(2, opts['more'].length);
+      assert.equal(process.stdin, opts['more'][1].stream);
+      opts['in'].close();
+      opts['out'].close();
+
+      assert.equal(process.stdout, p.parse(["-o", "-"])['out'].stream);
+      assert.equal(process.stderr, p.parse(["-o", "stderr"])['out'].stream);
+
+      var err = null;
+      try { p.parse(["--in", path.join(dir, "missing.txt")]); } catch(e) { err = e; }
+      assert.ok(err instanceof trollopjs.InvalidValueError);
+      assert.equal("in", err.option);
+      assert.ok(err.message.match(/^option '--in' can't read from '.*missing.txt' \(no such file\)$/));
+      assert.throws(function() { p.parse(["--in", dir]); }, trollopjs.InvalidValueError);
+      assert.throws(function() { p.parse(["-o", path.join(dir, "nodir", "x.txt")]); }, trollopjs.InvalidValueError);
+      assert.throws(function() { p.parse(["-o", dir]); }, trollopjs.InvalidValueError);
+
+      assert.ok(p.helpText().match(/--in, -i <filename>:.*\(default: -\)/));
+      assert.ok(p.helpText().match(/--more, -m <filename\+>:/));
+
+      // a default is only checked when it's used
+      p = new trollopjs.Parser();
+      p.opt('config', "desc", {type: 'io', dflt: path.join(dir, "missing.conf")} );
+      assert.equal(input, p.parse(["--config", input])['config'].path);
+      assert.throws(function() { p.parse([]); }, trollopjs.InvalidValueError);
+    }
+    finally {
+      fs.readdirSync(dir).forEach(function(f) { fs.unlinkSync(path.join(dir, f)); });
+      fs.rmdirSync(dir);
+    }
+  },
+
+  "test_durations": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('timeout', "Timeout", {type: 'duration', dflt: '90s', min: '1s', max: '1d'} );
+    p.opt('retry', "Retry after", {type: 'duration', dflt: 5400000} );
+    p.opt('waits', "Waits", {type: 'durations'} );
+
+    var timeout = function(s) { return p.parse(["--timeout", s])['timeout']; };
+    assert.equal(90000, p.parse([])['timeout']);
+    assert.equal(5400000, p.parse([])['retry']);
+    assert.equal(5400000, timeout("1h30m"));
+    assert.equal(5400000, timeout("1.5h"));
+    assert.equal(5400000, timeout("1h 30m"));
+    assert.equal(1250, timeout("1s250ms"));
+    assert.equal(86400000, timeout("1d"));
+    assert.equal(90000, timeout("1M30S"));
+    assert.deepEqual([250, 7 * 24 * 3600 * 1000], p.parse("--waits 250ms 1w".split(/\s/))['waits']);
+
+    ["90", "1x", "h", "1h-30m"].forEach(function(s) {
+      assert.throws(function() { timeout(s); }, trollopjs.InvalidValueError);
+    });
+    var err = null;
+    try { timeout("250ms"); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.InvalidValueError);
+    assert.equal("option '--timeout' must be between 1s and 1d", err.message);
+    assert.throws(function() { timeout("1d1s"); }, trollopjs.InvalidValueError);
+
+    var help = p.helpText();
+    assert.ok(help.match(/--timeout, -t <duration>:\s+Timeout \(default: 90s, between 1s and 1d\)/));
+    assert.ok(help.match(/Retry after \(default: 1h30m\)/));
+    assert.ok(help.match(/--waits, -w <duration\+>:/));
+
+    assert.throws(function() { p.opt('bad', "desc", {type: 'duration', min: 'soon'}); }, trollopjs.SpecError);
+  },
+
+  "test_sizes": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('cache', "Cache size", {type: 'size', dflt: '512K', max: '1GiB'} );
+    p.opt('limit', "Limit", {type: 'size', dflt: 1536} );
+    p.opt('chunks', "Chunks", {type: 'sizes'} );
+
+    var cache = function(s) { return p.parse(["--cache", s])['cache']; };
+    assert.equal(524288, p.parse([])['cache']);
+    assert.equal(100, cache("100"));
+    assert.equal(100, cache("100B"));
+    assert.equal(10000000, cache("10MB"));
+    assert.equal(10 * 1024 * 1024, cache("10M"));
+    assert.equal(1.5 * 1024 * 1024 * 1024 / 2, cache("0.75GiB"));
+    assert.equal(2048, cache("2kib"));
+    assert.deepEqual([1024, 1000], p.parse("--chunks 1K 1KB".split(/\s/))['chunks']);
+
+    ["10XB", "K", "-1K", "1.5.5M"].forEach(function(s) {
+      assert.throws(function() { cache(s); }, trollopjs.InvalidValueError);
+    });
+    assert.throws(function() { cache("2GiB"); }, trollopjs.InvalidValueError);
+
+    var help = p.helpText();
+    assert.ok(help.match(/--cache, -c <size>:\s+Cache size \(default: 512K, at most 1GiB\)/));
+    assert.ok(help.match(/Limit \(default: 1\.5KiB\)/));
+    assert.ok(help.match(/--chunks, -h <size\+>:/));
+  },
+
+  "test_counts": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('verbose', "More output", {type: 'count'} );
+    p.opt('quiet', "Less output", {type: 'count', decrements: 'verbose'} );
+    p.opt('level', "Level", {type: 'count', dflt: 2, short: 'l'} );
+    p.opt('extra', "Extra", {short: 'x'} );
+
+    var opts = p.parse([]);
+    assert.equal(0, opts['verbose']);
+    assert.equal(0, opts['quiet']);
+    assert.equal(2, opts['level']);
+    assert.ok(!opts['verbose_given']);
+
+    assert.equal(3, p.parse(["-vvv"])['verbose']);
+    assert.equal(3, p.parse(["-v", "-v", "-v"])['verbose']);
+    assert.equal(3, p.parse(["--verbose", "--verbose", "-v"])['verbose']);
+    opts = p.parse(["-vxv", "file"]);
+    assert.equal(2, opts['verbose']);
+    assert.equal(true, opts['extra']);
+    assert.deepEqual(["file"], p.leftovers);
+    assert.equal(5, p.parse(["-lll"])['level']);
+
+    opts = p.parse(["-vvv", "-q"]);
+    assert.equal(2, opts['verbose']);
+    assert.equal(1, opts['quiet']);
+    assert.equal(-2, p.parse(["--quiet", "-q"])['verbose']);
+
+    assert.throws(function() { p.parse(["-x", "-x"]); }, trollopjs.CommandLineError);
+
+    var help = p.helpText();
+    assert.ok(help.match(/--verbose, -v:\s+More output \(repeatable\)/));
+    assert.ok(help.match(/--quiet, -q:\s+Less output \(repeatable, each one lowers --verbose\)/));
+    assert.ok(help.match(/--level, -l:\s+Level \(default: 2, repeatable\)/));
+
+    assert.throws(function() { p.opt('loud', "desc", {type: 'count', decrements: 'extra'}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('loud', "desc", {type: 'count', decrements: 'nothing'}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('loud', "desc", {decrements: 'verbose'}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('loud', "desc", {type: 'count', multi: true}); }, trollopjs.SpecError);
+  },
+
+  "test_maps": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('define', "Definitions", {type: 'map', short: 'D'} );
+    p.opt('limit', "Limits", {type: 'map:integer', short: 'l'} );
+    p.opt('env', "Environment", {dflt: {HOME: "/home/x"}} );
+
+    var opts = p.parse([]);
+    assert.deepEqual({}, opts['define']);
+    assert.deepEqual({}, opts['limit']);
+    assert.deepEqual({HOME: "/home/x"}, opts['env']);
+    opts['env']['PATH'] = "/bin";
+    assert.deepEqual({HOME: "/home/x"}, p.parse([])['env']);
+
+    opts = p.parse(["-D", "name=foo", "-D", "debug", "--define=url=http://x/?a=b,empty="]);
+    assert.deepEqual({name: "foo", debug: true, url: "http://x/?a=b", empty: ""}, opts['define']);
+    assert.ok(opts['define_given']);
+    assert.deepEqual({a: 2, b: 3}, p.parse(["-l", "a=1,b=3", "-l", "a=2"])['limit']);
+    assert.deepEqual({PATH: "/bin"}, p.parse(["--env", "PATH=/bin"])['env']);
+
+    ["=foo", "a=1,,b=2", "x=1,=2"].forEach(function(s) {
+      assert.throws(function() { p.parse(["-D", s]); }, trollopjs.InvalidValueError);
+    });
+    var err = null;
+    try { p.parse(["-l", "a=1,debug"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.InvalidValueError);
+    assert.equal("option '-l' needs key=value pairs (got 'debug')", err.message);
+    assert.equal("map", err.expected);
+    err = null;
+    try { p.parse(["-l", "a=lots"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.InvalidValueError);
+    assert.equal("option '-l' needs an integer", err.message);
+    assert.throws(function() { p.parse(["-D"]); }, trollopjs.MissingParameterError);
+
+    var help = p.helpText();
+    assert.ok(help.match(/--define, -D <key=value>:\s+Definitions \(repeatable\)/));
+    assert.ok(help.match(/--limit, -l <key=int>:/));
+    assert.ok(help.match(/Environment \(default: HOME=\/home\/x, repeatable\)/));
+
+    assert.throws(function() { p.opt('bad', "desc", {type: 'map:nothing'}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('bad', "desc", {type: 'map:ints'}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('bad', "desc", {type: 'map', multi: true}); }, trollopjs.SpecError);
+  },
+
+  "test_separated_lists": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('tags', "Tags", {type: 'string', separator: ','} );
+    p.opt('ids', "Ids", {type: 'ints', separator: ',', unique: true, min_count: 2, max_count: 3} );
+    p.opt('paths', "Paths", {type: 'strings', separator: ':', multi: true} );
+    p.opt('modes', "Modes", {type: 'string', separator: '/', choices: ['r', 'w', 'x'], short: 'o'} );
+
+    assert.deepEqual(["a", "b", "c"], p.parse(["--tags", "a,b,c"])['tags']);
+    assert.deepEqual(["a", "b", "c"], p.parse(["--tags=a,b,c"])['tags']);
+    assert.deepEqual(["a"], p.parse(["--tags", "a"])['tags']);
+    assert.deepEqual(["a,b", "c\\d", "e\\f"], p.parse(["--tags", "a\\,b,c\\\\d,e\\f"])['tags']);
+    assert.deepEqual(["a"], p.parse(["--tags", "a", "b"])['tags']);
+    assert.deepEqual(["b"], p.leftovers);
+
+    assert.deepEqual([1, 2, 3], p.parse(["-i", "1,2,2,3,1"])['ids']);
+    assert.deepEqual([-1, 16], p.parse(["-i", "-1,0x10"])['ids']);
+    assert.deepEqual([["/bin", "/usr/bin"], ["/opt"]], p.parse(["-p", "/bin:/usr/bin", "-p", "/opt"])['paths']);
+    assert.deepEqual(["r", "w"], p.parse(["-o", "r/w"])['modes']);
+
+    var err = null;
+    try { p.parse(["-i", "1,1"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.InvalidValueError);
+    assert.equal("option '-i' needs 2 to 3 values", err.message);
+    assert.throws(function() { p.parse(["-i", "1,2,3,4"]); }, trollopjs.InvalidValueError);
+    assert.throws(function() { p.parse(["-i", "1,x"]); }, trollopjs.InvalidValueError);
+    assert.throws(function() { p.parse(["--tags", "a,,b"]); }, trollopjs.InvalidValueError);
+    assert.throws(function() { p.parse(["--tags", "a,"]); }, trollopjs.InvalidValueError);
+    assert.throws(function() { p.parse(["-o", "r/q"]); }, trollopjs.InvalidValueError);
+
+    var help = p.helpText();
+    assert.ok(help.match(/--tags, -t <s,\.\.\.>:/));
+    assert.ok(help.match(/--ids, -i <i,\.\.\.>:\s+Ids \(2 to 3 values\)/));
+    assert.ok(help.match(/--paths, -p <s:\.\.\.>:/));
+    assert.ok(help.match(/--modes, -o <r\|w\|x\/\.\.\.>:/));
+
+    assert.throws(function() { p.opt('bad', "desc", {separator: ','}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('bad', "desc", {type: 'string', separator: ''}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('bad', "desc", {type: 'string', unique: true}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('bad', "desc", {type: 'ints', min_count: 3, max_count: 2}); }, trollopjs.SpecError);
+
+    // defaults are lists too, however they're given
+    var q = new trollopjs.Parser();
+    q.opt('tags', "Tags", {separator: ',', dflt: "a,b"} );
+    q.opt('ids', "Ids", {type: 'int', separator: ',', dflt: 1} );
+    q.opt('nums', "Numbers", {type: 'int', separator: ',', dflt: [1, 2]} );
+    q.opt('more', "More", {type: 'ints', separator: ',', dflt: "3,0x4"} );
+    q.opt('modes', "Modes", {separator: '/', choices: ['r', 'w'], dflt: "r/w"} );
+    var opts = q.parse([]);
+    assert.deepEqual(["a", "b"], opts['tags']);
+    assert.deepEqual([1], opts['ids']);
+    assert.deepEqual([1, 2], opts['nums']);
+    assert.deepEqual([3, 4], opts['more']);
+    assert.deepEqual(["r", "w"], opts['modes']);
+    assert.deepEqual(["c"], q.parse(["--tags", "c"])['tags']);
+    assert.throws(function() { q.opt('bad', "desc", {separator: '/', choices: ['r', 'w'], dflt: "r/x"}); }, trollopjs.SpecError);
+    assert.throws(function() { q.opt('bad', "desc", {type: 'int', separator: ',', dflt: ["a"]}); }, trollopjs.SpecError);
+  },
+
+  "test_multi_arg_types_take_list_options": function() {
+    var p = new trollopjs.Parser();
+    p.opt('nums', "Numbers", {type: 'ints', unique: true, max_count: 2} );
+
+    assert.deepEqual([1, 2], p.parse("--nums 1 2 1".split(/\s/))['nums']);
+    assert.throws(function() { p.parse("--nums 1 2 3".split(/\s/)); }, trollopjs.InvalidValueError);
+    assert.ok(p.helpText().match(/Numbers \(at most 2 values\)/));
+  },
+
+  "test_nargs": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('point', "Point", {type: 'ints', nargs: 2} );
+    p.opt('files', "Files", {type: 'strings', nargs: '1..3'} );
+    p.opt('tags', "Tags", {type: 'strings', arity: '*'} );
+    p.opt('names', "Names", {type: 'strings', nargs: '+'} );
+    p.opt('sizes', "Sizes", {type: 'floats', nargs: '2..', short: 'z'} );
+
+    var opts = p.parse("--point 1 2 3".split(/\s/));
+    assert.deepEqual([1, 2], opts['point']);
+    assert.deepEqual(["3"], p.leftovers);
+
+    opts = p.parse("--files a b c input.txt".split(/\s/));
+    assert.deepEqual(["a", "b", "c"], opts['files']);
+    assert.deepEqual(["input.txt"], p.leftovers);
+    assert.deepEqual(["a"], p.parse("--files a --point 1 2".split(/\s/))['files']);
+
+    opts = p.parse("--tags --point 1 2".split(/\s/));
+    assert.deepEqual([], opts['tags']);
+    assert.ok(opts['tags_given']);
+    assert.deepEqual(["x", "y"], p.parse("--tags x y".split(/\s/))['tags']);
+    assert.equal(null, p.parse([])['tags']);
+
+    assert.deepEqual(["a", "b", "c", "d"], p.parse("--names a b c d".split(/\s/))['names']);
+    assert.deepEqual([1.5, 2, 3], p.parse("-z 1.5 2 3".split(/\s/))['sizes']);
+
+    var err = null;
+    try { p.parse("--point 1".split(/\s/)); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.MissingParameterError);
+    assert.equal("option '--point' needs 2 parameters", err.message);
+    assert.equal("point", err.option);
+    assert.throws(function() { p.parse("--point=1".split(/\s/)); }, trollopjs.MissingParameterError);
+    assert.throws(function() { p.parse("--point 1 --names a".split(/\s/)); }, trollopjs.MissingParameterError);
+    err = null;
+    try { p.parse("-z 1".split(/\s/)); } catch(e) { err = e; }
+    assert.equal("option '-z' needs at least 2 parameters", err.message);
+    assert.throws(function() { p.parse(["--names"]); }, trollopjs.MissingParameterError);
+
+    var help = p.helpText();
+    assert.ok(help.match(/--point, -p <i> <i>:/));
+    assert.ok(help.match(/--files, -f <s>\{1,3\}:/));
+    assert.ok(help.match(/--tags, -t <s\*>:/));
+    assert.ok(help.match(/--names, -n <s\+>:/));
+    assert.ok(help.match(/--sizes, -z <f>\{2,\}:/));
+
+    assert.throws(function() { p.opt('bad', "desc", {type: 'string', nargs: 2}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('bad', "desc", {type: 'ints', nargs: '3..1'}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('bad', "desc", {type: 'ints', nargs: 0}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('bad', "desc", {type: 'ints', nargs: 'some'}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('bad', "desc", {type: 'ints', nargs: 2, separator: ','}); }, trollopjs.SpecError);
+  },
+
+  "test_optional_values": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('color', "Colorize", {type: 'string', const: 'auto', dflt: 'never', choices: ['auto', 'always', 'never']} );
+    p.opt('jobs', "Jobs", {type: 'int', optional: true} );
+    p.opt('log', "Logs", {type: 'string', const: 'log.txt', multi: true} );
+
+    var opts = p.parse([]);
+    assert.equal("never", opts['color']);
+    assert.equal(null, opts['jobs']);
+
+    opts = p.parse(["--color", "file.txt"]);
+    assert.equal("auto", opts['color']);
+    assert.ok(opts['color_given']);
+    assert.deepEqual(["file.txt"], p.leftovers);
+    assert.equal("always", p.parse(["--color=always"])['color']);
+    assert.equal("auto", p.parse(["-c"])['color']);
+    assert.equal("auto", p.parse(["-c", "always"])['color']);
+    assert.equal("auto", p.parse(["--color", "--jobs=4"])['color']);
+    assert.throws(function() { p.parse(["--color=sometimes"]); }, trollopjs.InvalidValueError);
+
+    opts = p.parse(["--jobs", "4"]);
+    assert.equal(null, opts['jobs']);
+    assert.ok(opts['jobs_given']);
+    assert.deepEqual(["4"], p.leftovers);
+    assert.equal(4, p.parse(["--jobs=4"])['jobs']);
+    assert.throws(function() { p.parse(["--jobs=four"]); }, trollopjs.InvalidValueError);
+
+    assert.deepEqual(["log.txt", "other.txt", "log.txt"], p.parse(["--log", "--log=other.txt", "-l"])['log']);
+
+    var help = p.helpText();
+    assert.ok(help.match(/--color\[=<auto\|always\|never>\], -c:\s+Colorize \(default: never, alone: auto\)/));
+    assert.ok(help.match(/--jobs\[=<i>\], -j:\s+Jobs\n/));
+
+    assert.throws(function() { p.opt('bad', "desc", {type: 'strings', optional: true}); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('bad', "desc", {const: true}); }, trollopjs.SpecError);
+  },
+
+  "test_abbreviated_long_options": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('verbose', "desc", {type: 'count'} );
+    p.opt('verb', "desc", {type: 'string', short: 'b'} );
+    p.opt('color', "desc", {dflt: true} );
+    p.opt('columns', "desc", {type: 'int'} );
+    p.opt('nothing', "desc", {short: 'N'} );
+
+    // an exact match wins over longer options
+    var opts = p.parse(["--verb", "x"]);
+    assert.equal("x", opts['verb']);
+    assert.equal(0, opts['verbose']);
+
+    opts = p.parse(["--verbo", "--verbos"]);
+    assert.equal(2, opts['verbose']);
+    assert.equal(true, p.parse(["--colo"])['color']);
+    assert.equal(false, p.parse(["--no-co"])['color']);
+    assert.equal(80, p.parse(["--colu=80"])['columns']);
+    assert.equal(80, p.parse(["--colu", "80"])['columns']);
+    assert.equal(true, p.parse(["--not"])['nothing']);
+    assert.throws(function() { p.parse(["--h"]); }, trollopjs.HelpNeeded);
+
+    var err = null;
+    try { p.parse(["--x", "--col"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.UnknownOptionError);
+    err = null;
+    try { p.parse(["--verbo", "--col"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.AmbiguousOptionError);
+    assert.ok(err instanceof trollopjs.CommandLineError);
+    assert.equal("ambiguous argument '--col' could be --color, --columns", err.message);
+    assert.deepEqual(["--color", "--columns"], err.candidates);
+    assert.equal("--col", err.arg);
+    assert.equal(1, err.index);
+    err = null;
+    try { p.parse(["--no"]); } catch(e) { err = e; }
+    assert.deepEqual(["--no-color", "--nothing", "--no-nothing"], err.candidates);
+
+    p.allow_abbreviations(false);
+    assert.equal("x", p.parse(["--verb", "x"])['verb']);
+    assert.throws(function() { p.parse(["--verbo"]); }, trollopjs.UnknownOptionError);
+    assert.throws(function() { p.parse(["--col"]); }, trollopjs.UnknownOptionError);
+    p.allow_abbreviations();
+    assert.equal(1, p.parse(["--verbo"])['verbose']);
+  },
+
+  "test_suggestions": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('verbose', "desc", {short: 'v'} );
+    p.opt('version', "desc", {short: 'V'} );
+    p.opt('output', "desc", {type: 'string', short: 'o'} );
+    p.opt('color', "desc", {short: 'c'} );
+    p.opt('colors', "desc", {type: 'int', short: 'C'} );
+    p.stop_on(['commit', 'checkout']);
+    p.allow_abbreviations(false);
+
+    var suggestions = function(arg) {
+      var err = null;
+      try { p.parse([arg]); } catch(e) { err = e; }
+      assert.ok(err instanceof trollopjs.UnknownOptionError, arg);
+      return err.suggestions;
+    };
+
+    [ ["--verbsoe", ["--verbose"]],               // transpositions
+      ["--vrebose", ["--verbose"]],
+      ["--outptu", ["--output"]],
+      ["--verbse", ["--verbose"]],                // deletions
+      ["--ouput", ["--output"]],
+      ["--verbosse", ["--verbose"]],              // insertions
+      ["--coloor", ["--color", "--colors"]],
+      ["--verbise", ["--verbose"]],               // substitutions
+      ["--colour", ["--color", "--colors"]],
+      ["--VERBOSE", ["--verbose"]],               // case
+      ["--Output", ["--output"]],
+      ["--no-colr", ["--no-color"]],              // negated flags
+      ["--comit", ["commit"]],                    // stop words
+      ["--chekcout", ["checkout"]],
+      ["--colours", ["--colors", "--color"]],     // closest first
+      ["--xyzzy", []],                            // nothing close
+      ["--v", []],
+      ["--verbatim", []],
+      ["-O", ["-o"]],                             // short options only differ in case
+      ["-x", []]
+    ].forEach(function(c) {
+      assert.deepEqual(c[1], suggestions(c[0]), c[0]);
+    });
+
+    assert.deepEqual(["--verbose"], suggestions("--vrebsoe"));
+    p.suggestion_distance(1);
+    assert.deepEqual(["--verbose"], suggestions("--verbsoe"));
+    assert.deepEqual([], suggestions("--vrebsoe"));
+    assert.deepEqual(["--colors"], suggestions("--colours"));
+    p.suggestion_distance(3);
+    assert.deepEqual(["--verbose", "--version"], suggestions("--verbise"));
+    p.suggestion_distance(0);
+    assert.deepEqual(["--verbose"], suggestions("--Verbose"));
+    assert.deepEqual([], suggestions("--verbsoe"));
+    p.suggestion_distance(false);
+    assert.deepEqual([], suggestions("--Verbose"));
+    assert.deepEqual([], suggestions("-O"));
+  },
+
+  "test_positional_arguments": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('force', "Overwrite");
+    p.arg('source', "File to copy", {required: true} );
+    p.arg('count', "How many copies", {type: 'int', required: true, min: 1} );
+    p.arg('dest', "Where to", {dflt: "."} );
+
+    var opts = p.parse(["a.txt", "-f", "3"]);
+    assert.equal("a.txt", opts['source']);
+    assert.equal(3, opts['count']);
+    assert.equal(".", opts['dest']);
+    assert.ok(opts['source_given']);
+    assert.ok(!opts['dest_given']);
+    assert.equal(true, opts['force']);
+    assert.deepEqual([], p.leftovers);
+    assert.equal("b", p.parse(["a.txt", "2", "b"])['dest']);
+    assert.equal("-5", p.parse(["-5", "2"])['source']);
+
+    var err = null;
+    try { p.parse(["a.txt"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.ConstraintViolationError);
+    assert.equal("argument <count> must be given", err.message);
+    assert.equal("count", err.option);
+    assert.equal("required", err.constraint);
+
+    err = null;
+    try { p.parse(["a.txt", "many"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.InvalidValueError);
+    assert.equal("argument <count> needs an integer", err.message);
+    assert.equal("count", err.option);
+    assert.equal("many", err.token);
+    assert.throws(function() { p.parse(["a.txt", "0"]); }, trollopjs.InvalidValueError);
+
+    err = null;
+    try { p.parse(["a.txt", "2", "b", "c"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.CommandLineError);
+    assert.equal("too many arguments, starting at 'c'", err.message);
+
+    // the leftovers stay for stop words
+    p.stop_on(['then']);
+    p.parse(["a.txt", "2", "b", "then", "x"]);
+    assert.deepEqual(["then", "x"], p.leftovers);
+  },
+
+  "test_variadic_arguments": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('level', "Level", {type: 'int'} );
+    p.arg('target', "Target", {required: true} );
+    p.arg('files', "Files to add", {variadic: true, type: 'ints', max_count: 3} );
+
+    var opts = p.parse(["t", "1", "--level", "2", "3"]);
+    assert.equal("t", opts['target']);
+    assert.deepEqual([1, 3], opts['files']);
+    assert.equal(2, opts['level']);
+    assert.deepEqual([1, 3], p.parse(["t", "1", "--", "3"])['files']);
+    assert.deepEqual([1, 2, 3], p.parse(["t", "1", "2", "3"])['files']);
+    assert.deepEqual([], p.parse(["t"])['files']);
+    assert.throws(function() { p.parse(["t", "1", "2", "3", "4"]); }, trollopjs.InvalidValueError);
+    assert.throws(function() { p.parse(["t", "1", "x"]); }, trollopjs.InvalidValueError);
+
+    var q = new trollopjs.Parser();
+    q.arg('files', "Files", {variadic: true, required: true} );
+    assert.deepEqual(["a", "b"], q.parse(["a", "b"])['files']);
+    assert.throws(function() { q.parse([]); }, trollopjs.ConstraintViolationError);
+
+    // with a separator, every word is split
+    var r = new trollopjs.Parser();
+    r.arg('ids', "Ids", {variadic: true, type: 'ints', separator: ',', unique: true, max_count: 4} );
+    assert.deepEqual([1, 2, 3, 4], r.parse(["1,2", "3", "2,4"])['ids']);
+    assert.deepEqual([], r.parse([])['ids']);
+    assert.throws(function() { r.parse(["1,2,3", "4,5"]); }, trollopjs.InvalidValueError);
+
+    // a bad default is reported as the argument's
+    var t = new trollopjs.Parser();
+    t.arg('when', "When", {type: 'date', dflt: "sometime"} );
+    var err = null;
+    try { t.parse([]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.InvalidValueError);
+    assert.equal("<when>", err.arg);
+    assert.ok(err.message.match(/^argument <when> needs a date/));
+  },
+
+  "test_positional_argument_specs": function() {
+    var p = new trollopjs.Parser();
+    p.opt('name', "desc", {type: 'string'} );
+    p.arg('one', "desc");
+
+    assert.throws(function() { p.arg('name', "desc"); }, trollopjs.SpecError);
+    assert.throws(function() { p.arg('two', "desc", {required: true}); }, trollopjs.SpecError);
+    assert.throws(function() { p.arg('two', "desc", {type: 'strings'}); }, trollopjs.SpecError);
+    assert.throws(function() { p.arg('two', "desc", {variadic: true, type: 'int'}); }, trollopjs.SpecError);
+    assert.throws(function() { p.arg('two', "desc", {type: 'flag'}); }, trollopjs.SpecError);
+    assert.throws(function() { p.arg('two', "desc", {multi: true}); }, trollopjs.SpecError);
+    assert.throws(function() { p.arg('two', "desc", {const: "x"}); }, trollopjs.SpecError);
+    p.arg('rest', "desc", {variadic: true});
+    assert.throws(function() { p.arg('more', "desc"); }, trollopjs.SpecError);
+
+    // no short or long forms
+    var opts = p.parse(["--name", "x", "o"]);
+    assert.equal("o", opts['one']);
+    assert.throws(function() { p.parse(["--one", "x"]); }, trollopjs.UnknownOptionError);
+  },
+
+  "test_positional_arguments_help": function() {
+    var p = new trollopjs.Parser();
+    p.program("cp");
+    p.version("cp 1.0");
+    p.opt('force', "Overwrite");
+    p.arg('source', "File to copy", {required: true} );
+    p.arg('dest', "Where to", {dflt: "."} );
+    p.arg('more', "More files", {variadic: true} );
+
+    p.parse(["a"]);
+    assert.equal("Usage: cp [options] <source> [<dest>] [<more>...]", p.usage());
+    assert.deepEqual(["cp 1.0",
+                      "",
+                      "Usage: cp [options] <source> [<dest>] [<more>...]",
+                      "",
+                      "Options:",
+                      "    --force, -f:   Overwrite",
+                      "  --version, -v:   Print version and exit",
+                      "     --help, -h:   Show this message",
+                      "",
+                      "Arguments:",
+                      "       <source>:   File to copy",
+                      "         <dest>:   Where to (default: .)",
+                      "      <more>...:   More files"], help_lines(p));
+  },
+
+  "test_commands": function() {
+    var handled = [];
+    var p = new trollopjs.Parser();
+    p.program("magic");
+    p.opt('dry_run', "Don't actually do anything", {short: 'n'} );
+    p.opt('level', "Level", {type: 'int', dflt: 1} );
+    p.command(['copy', 'cp'], "Copy a file", function() {
+      this.opt('double', "Copy twice");
+      this.arg('file', "File to copy", {required: true});
+    }, function(vals, leftovers) { handled.push(['copy', vals['file'], leftovers]); });
+    p.command('delete', "Delete a file", function() {
+      this.opt('force', "Force deletion");
+    });
+
+    var opts = p.parse(["-n", "copy", "--double", "a.txt"]);
+    assert.deepEqual(["copy"], opts['command_path']);
+    assert.equal(true, opts['dry_run']);
+    assert.equal(true, opts['double']);
+    assert.equal("a.txt", opts['file']);
+    assert.equal(1, opts['level']);
+    assert.deepEqual([], p.leftovers);
+
+    // aliases, and global options after the command
+    opts = p.parse(["cp", "a.txt", "--level", "3", "-n"]);
+    assert.deepEqual(["copy"], opts['command_path']);
+    assert.equal(3, opts['level']);
+    assert.equal(true, opts['dry_run']);
+    assert.ok(opts['level_given']);
+    assert.equal(2, p.parse(["--level", "2", "cp", "a.txt"])['level']);
+    assert.throws(function() { p.parse(["--level", "1", "cp", "a.txt", "--level", "2"]); }, trollopjs.CommandLineError);
+    assert.throws(function() { p.parse(["-n", "cp", "a.txt", "-n"]); }, trollopjs.CommandLineError);
+
+    opts = p.parse(["delete", "--force", "x", "y"]);
+    assert.deepEqual(["delete"], opts['command_path']);
+    assert.equal(true, opts['force']);
+    assert.equal(false, opts['dry_run']);
+    assert.deepEqual(["x", "y"], p.leftovers);
+    assert.equal(undefined, p.dispatch(opts));
+
+    p.parse(["cp", "a.txt"]);
+    p.dispatch(p.parse(["cp", "b.txt"]));
+    assert.deepEqual([['copy', "b.txt", []]], handled);
+
+    // options of one command aren't options of another
+    assert.throws(function() { p.parse(["delete", "--double"]); }, trollopjs.UnknownOptionError);
+    assert.throws(function() { p.parse(["--force", "delete"]); }, trollopjs.UnknownOptionError);
+    assert.throws(function() { p.parse(["copy"]); }, trollopjs.ConstraintViolationError);
+
+    var err = null;
+    try { p.parse(["-n"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.CommandLineError);
+    assert.equal("no command given; try one of copy, delete", err.message);
+    err = null;
+    try { p.parse(["delte", "x"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.UnknownCommandError);
+    assert.equal("unknown command 'delte'", err.message);
+    assert.equal("delte", err.token);
+    assert.deepEqual(["delete"], err.suggestions);
+
+    err = null;
+    try { p.parse(["copy", "--help"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.HelpNeeded);
+    assert.equal(p.commands['copy'].parser, err.parser);
+    err = null;
+    try { p.parse(["--help", "copy"]); } catch(e) { err = e; }
+    assert.equal(p, err.parser);
+
+    assert.throws(function() { p.arg('file', "desc"); }, trollopjs.SpecError);
+    assert.throws(function() { p.command('cp', "desc"); }, trollopjs.SpecError);
+  },
+
+  "test_nested_commands": function() {
+    var handled = [];
+    var p = new trollopjs.Parser();
+    p.opt('verbose', "More output", {type: 'count'} );
+    p.command('remote', "Manage remotes", function() {
+      this.command(['add', 'a'], "Add a remote", function() {
+        this.arg('name', "Its name", {required: true});
+        this.arg('url', "Its URL", {required: true});
+      }, function(vals) { handled.push(['add', vals['name']]); return "added"; });
+      this.command('remove', "Remove a remote", function() {
+        this.arg('name', "Its name", {required: true});
+      });
+    }, function(vals, leftovers) { handled.push(['remote', leftovers]); });
+
+    var opts = p.parse(["-v", "remote", "a", "origin", "http://x", "-v"]);
+    assert.deepEqual(["remote", "add"], opts['command_path']);
+    assert.equal("origin", opts['name']);
+    assert.equal("http://x", opts['url']);
+    assert.equal(2, opts['verbose']);
+    assert.equal("added", p.dispatch(opts));
+
+    // a command with a handler doesn't need a subcommand
+    opts = p.parse(["remote"]);
+    assert.deepEqual(["remote"], opts['command_path']);
+    p.dispatch(opts);
+    assert.deepEqual([['add', "origin"], ['remote', []]], handled);
+    assert.throws(function() { p.parse(["remote", "remove"]); }, trollopjs.ConstraintViolationError);
+
+    // options given on both sides of a command add up
+    var q = new trollopjs.Parser();
+    q.opt('tag', "Tags", {type: 'string', multi: true} );
+    q.opt('env', "Variables", {type: 'map'} );
+    q.opt('color', "Use colour");
+    q.command('go', "Go");
+    opts = q.parse(["--tag", "a", "--env", "x=1,y=2", "--color", "go", "--tag", "b", "--env", "y=3", "--no-color"]);
+    assert.deepEqual(["a", "b"], opts['tag']);
+    assert.deepEqual({x: "1", y: "3"}, opts['env']);
+    assert.equal(false, opts['color']);
+    var err = null;
+    try { q.parse(["--no-color", "go", "--no-color"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.CommandLineError);
+    assert.equal("option '--no-color' specified multiple times", err.message);
+
+    // a count and the count it decrements may be given either side
+    var v = new trollopjs.Parser();
+    v.opt('verbose', "More output", {type: 'count'} );
+    v.opt('quiet', "Less output", {type: 'count', decrements: 'verbose'} );
+    v.command('copy', "Copy");
+    assert.equal(0, v.parse(["-v", "-q", "copy"])['verbose']);
+    assert.equal(0, v.parse(["-q", "copy", "-v"])['verbose']);
+    assert.equal(0, v.parse(["-v", "copy", "-q"])['verbose']);
+    opts = v.parse(["-vv", "-q", "copy", "-v", "-q"]);
+    assert.equal(1, opts['verbose']);
+    assert.equal(2, opts['quiet']);
+    assert.equal(-1, v.parse(["copy", "-q"])['verbose']);
+
+    // a command has the types of the parsers it's under
+    var c = new trollopjs.Parser();
+    c.registerType('hexcolor', {parse: function(s) { return s.match(/^#[0-9a-f]{6}$/i) ? s.toLowerCase() : undefined; }});
+    c.opt('color', "Colour", {type: 'hexcolor'} );
+    var paint = c.command('paint', "Paint", function() {
+      this.opt('border', "Border colour", {type: 'hexcolor'} );
+    });
+    opts = c.parse(["paint", "--color", "#FFFFFF", "--border", "#000000"]);
+    assert.equal("#ffffff", opts['color']);
+    assert.equal("#000000", opts['border']);
+    try { c.parse(["paint", "--help"]); } catch(e) { }
+    assert.ok(paint.helpText().match(/--color, -c <hexcolor>:/));
+
+    // a required option may come after the command
+    var t = new trollopjs.Parser();
+    t.opt('name', "Name", {type: 'string', required: true} );
+    t.command('copy', "Copy");
+    assert.equal("x", t.parse(["copy", "--name", "x"])['name']);
+    assert.equal("x", t.parse(["--name", "x", "copy"])['name']);
+    var err = null;
+    try { t.parse(["copy"]); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.ConstraintViolationError);
+    assert.equal("option 'name' must be specified", err.message);
+
+    // a command's option of the same name doesn't undo the one before it
+    var r = new trollopjs.Parser();
+    r.opt('force', "Force");
+    r.opt('level', "Level", {dflt: 1} );
+    r.command('copy', "Copy", function() {
+      this.opt('force', "Force copying");
+      this.opt('level', "Copy level", {dflt: 5} );
+    });
+    opts = r.parse(["--force", "--level", "3", "copy"]);
+    assert.equal(true, opts['force']);
+    assert.equal(3, opts['level']);
+    assert.ok(opts['level_given']);
+    opts = r.parse(["copy", "--level", "4"]);
+    assert.equal(false, opts['force']);
+    assert.equal(4, opts['level']);
+    assert.equal(5, r.parse(["copy"])['level']);
+
+    p.program("git");
+    assert.equal("git remote add", p.commands['remote'].parser.commands['add'].parser.program());
+  },
+
+  "test_commands_help": function() {
+    var p = new trollopjs.Parser();
+    p.program("magic");
+    p.opt('dry_run', "Don't actually do anything", {short: 'n'} );
+    var copy = p.command(['copy', 'cp'], "Copy a file", function() {
+      this.opt('double', "Copy twice");
+      this.arg('file', "File to copy", {required: true});
+    });
+    p.command('delete', "Delete a file");
+    try { p.parse(["copy", "--help"]); } catch(e) { }
+
+    assert.deepEqual(["Usage: magic [options] <command> ...",
+                      "",
+                      "Options:",
+                      "  --dry-run, -n:   Don't actually do anything",
+                      "     --help, -h:   Show this message",
+                      "",
+                      "Commands:",
+                      "       copy, cp:   Copy a file",
+                      "         delete:   Delete a file"], help_lines(p));
+    assert.deepEqual(["Usage: magic copy [options] <file>",
+                      "",
+                      "Options:",
+                      "   --double, -d:   Copy twice",
+                      "     --help, -h:   Show this message",
+                      "",
+                      "Arguments:",
+                      "         <file>:   File to copy",
+                      "",
+                      "Global options:",
+                      "  --dry-run, -n:   Don't actually do anything"], help_lines(copy));
+
+    var res = capture_exit(function() {
+      return trollopjs.options(["cp", "--help"], function() {
+        this.program("magic");
+        this.command(['copy', 'cp'], "Copy a file");
+      });
+    });
+    assert.equal(0, res.code);
+    assert.ok(res.stdout.data.match(/^Usage: magic copy \[options\]\n/));
+
+    res = capture_exit(function() {
+      return trollopjs.options(["dlete"], function() {
+        this.command('delete', "Delete a file");
+      });
+    });
+    assert.equal(1, res.code);
+    assert.equal("Error: unknown command 'dlete'. Did you mean delete?\nTry --help for help.\n", res.stderr.data);
+  },
+
+  "test_plugins": function() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "trollop-"));
+    var bin = path.join(dir, "bin");
+    var extra = path.join(dir, "plugins");
+    fs.mkdirSync(bin);
+    fs.mkdirSync(extra);
+    var script = function(file, body) {
+      fs.writeFileSync(file, "#!/bin/sh\n" + body + "\n");
+      fs.chmodSync(file, 493); // 0755
+    };
+    var out = path.join(dir, "out");
+    script(path.join(bin, "mytool-foo"), 'echo "$@" "$MYTOOL_DRY_RUN" "$MYTOOL_LEVEL" "$MYTOOL_TAGS" > ' + out + '\nexit 3');
+    script(path.join(extra, "mytool-bar"), 'echo bar > ' + out);
+    script(path.join(bin, "mytool-copy"), 'echo plugin > ' + out);
+    fs.writeFileSync(path.join(bin, "mytool-notexec"), "");
+    var saved_path = process.env.PATH;
+    process.env.PATH = bin + path.delimiter + saved_path;
+
+    try {
+      var spec = function() {
+        this.program("mytool");
+        this.plugins(null, {dirs: extra});
+        this.opt('dry_run', "Don't do anything", {short: 'n'} );
+        this.opt('level', "Level", {type: 'int'} );
+        this.opt('tags', "Tags", {type: 'strings'} );
+        this.command('copy', "Copy a file");
+      };
+      var p = new trollopjs.Parser([spec]);
+      var opts = p.parse(["--tags", "a", "b", "-n", "foo", "--level", "2", "x"]);
+      assert.deepEqual(["foo"], opts['command_path']);
+      assert.equal(path.join(bin, "mytool-foo"), opts['plugin']);
+      assert.equal(null, opts['level']);
+      assert.deepEqual(["--level", "2", "x"], p.leftovers);
+      assert.equal(3, p.dispatch(opts));
+      assert.equal('--level 2 x 1  ["a","b"]\n', fs.readFileSync(out, "utf8"));
+
+      var res = capture_exit(function() { return trollopjs.options(["bar"], spec); });
+      assert.equal(0, res.code);
+      assert.equal("bar\n", fs.readFileSync(out, "utf8"));
+
+      // declared commands win over plugins
+      opts = p.parse(["copy"]);
+      assert.deepEqual(["copy"], opts['command_path']);
+      assert.equal(undefined, opts['plugin']);
+
+      var err = null;
+      try { p.parse(["notexec"]); } catch(e) { err = e; }
+      assert.ok(err instanceof trollopjs.UnknownCommandError);
+      err = null;
+      try { p.parse(["fooo"]); } catch(e) { err = e; }
+      assert.deepEqual(["foo"], err.suggestions);
+      assert.throws(function() { p.parse(["../bin/mytool-foo"]); }, trollopjs.UnknownCommandError);
+
+      assert.deepEqual(["Usage: mytool [options] <command> ...",
+                        "",
+                        "Options:",
+                        "    --dry-run, -n:   Don't do anything",
+                        "  --level, -l <i>:   Level",
+                        "  --tags, -t <s+>:   Tags",
+                        "       --help, -h:   Show this message",
+                        "",
+                        "Commands:",
+                        "             copy:   Copy a file",
+                        "",
+                        "Plugins:",
+                        "              bar:   " + path.join(extra, "mytool-bar"),
+                        "              foo:   " + path.join(bin, "mytool-foo")], help_lines(p));
+
+      p = new trollopjs.Parser();
+      p.plugins("mytool", {path: false});
+      assert.throws(function() { p.parse(["foo"]); }, trollopjs.UnknownCommandError);
+      assert.throws(function() { p.arg('file', "desc"); }, trollopjs.SpecError);
+    }
+    finally {
+      process.env.PATH = saved_path;
+      [path.join(bin, "mytool-foo"), path.join(bin, "mytool-copy"), path.join(bin, "mytool-notexec"),
+       path.join(extra, "mytool-bar"), out].forEach(function(f) { try { fs.unlinkSync(f); } catch(e) { } });
+      fs.rmdirSync(bin);
+      fs.rmdirSync(extra);
+      fs.rmdirSync(dir);
+    }
+  },
+
+  "test_run": function() {
+    var calls = [];
+    var argv = ["-n", "copy", "a", "b"];
+    var spec = function() {
+      this.opt('dry_run', "Don't do anything", {short: 'n'} );
+      this.validate(function(vals, leftovers) {
+        calls.push(['top', leftovers]);
+        return Promise.resolve();
+      });
+      this.command('copy', "Copy files", function() {
+        this.arg('files', "The files", {variadic: true});
+        this.validate(function(vals) {
+          calls.push(['copy', vals['files']]);
+          if( vals['files'].length > 2 ) {
+            return Promise.reject(new trollopjs.CommandLineError("can't copy more than two files"));
+          }
+        });
+      }, function(vals, leftovers, cancellation) {
+        calls.push(['handler', vals['dry_run'], cancellation.cancelled]);
+        return new Promise(function(resolve) { setTimeout(function() { resolve(vals['files'].length == 1 ? 4 : "done"); }, 1); });
+      });
+    };
+
+    return capture_run(function() { return trollopjs.run(argv, spec); }).then(function(res) {
+      assert.equal(0, res.code);
+      assert.equal(0, res.value);
+      assert.deepEqual([['top', []], ['copy', ["a", "b"]], ['handler', true, false]], calls);
+      assert.deepEqual([], argv);
+
+      // a number the handler resolves to is the exit code
+      return capture_run(function() { return trollopjs.run(["copy", "a"], spec); });
+    }).then(function(res) {
+      assert.equal(4, res.code);
+
+      calls = [];
+      return capture_run(function() { return trollopjs.run(["copy", "a", "b", "c"], spec); });
+    }).then(function(res) {
+      assert.equal(1, res.code);
+      assert.equal("Error: can't copy more than two files.\nTry --help for help.\n", res.stderr.data);
+      assert.deepEqual([['top', []], ['copy', ["a", "b", "c"]]], calls);
+
+      return capture_run(function() { return trollopjs.run(["--dyr-run"], spec); });
+    }).then(function(res) {
+      assert.equal(1, res.code);
+      assert.equal("Error: unknown argument '--dyr-run'. Did you mean --dry-run?\nTry --help for help.\n", res.stderr.data);
+
+      return capture_run(function() { return trollopjs.run(["--help"], spec); });
+    }).then(function(res) {
+      assert.equal(0, res.code);
+      assert.ok(res.stdout.data.match(/Copy files/));
+
+      return capture_run(function() {
+        return trollopjs.run(["fail"], function() {
+          this.command('fail', "Fail", null, function() {
+            var err = new Error("disk full");
+            err.exit_code = 7;
+            return Promise.reject(err);
+          });
+        });
+      });
+    }).then(function(res) {
+      assert.equal(7, res.code);
+      assert.equal("Error: disk full\n", res.stderr.data);
+
+      return capture_run(function() {
+        return trollopjs.run(["x"], function() {
+          this.command('x', "X", null, function() { throw "no reason"; });
+        });
+      });
+    }).then(function(res) {
+      assert.equal(1, res.code);
+      assert.equal("Error: no reason\n", res.stderr.data);
+
+      // without an argv, the process's arguments are parsed
+      var saved_argv = process.argv;
+      process.argv = [saved_argv[0], "tool", "go", "--times", "3"];
+      return capture_run(function() {
+        return trollopjs.run(function() {
+          this.command('go', "Go", function() { this.opt('times', "How many", {type: 'int'}); }, function(vals) { return vals['times']; });
+        });
+      }).then(function(res) {
+        process.argv = saved_argv;
+        return res;
+      }, function(err) {
+        process.argv = saved_argv;
+        throw err;
+      });
+    }).then(function(res) {
+      assert.equal(3, res.code);
+      assert.equal("", res.stderr.data);
+
+      // errors in the spec aren't handled
+      return capture_run(function() { return trollopjs.run([], function() { this.opt('a', "A", {type: 'nonsense'}); }); }).then(function() {
+        assert.ok(false, "should have been rejected");
+      }, function(err) {
+        assert.ok(err instanceof trollopjs.SpecError);
+      });
+    }).then(function() {
+      assert.throws(function() { new trollopjs.Parser().validate("nope"); }, trollopjs.SpecError);
+    });
+  },
+
+  "test_run_closes_output_files": function() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "trollopjs-"));
+    var output = path.join(dir, "out.txt");
+    var cleanup = function() {
+      fs.readdirSync(dir).forEach(function(f) { fs.unlinkSync(path.join(dir, f)); });
+      fs.rmdirSync(dir);
+    };
+    var spec = function() {
+      this.opt('out', "Output", {type: 'output'} );
+      this.command('write', "Write lines", null, function(vals) {
+        for( var i = 0; i < 2000; i++ ) {
+          vals['out'].stream.write("line " + i + "\n");
+        }
+      });
+    };
+
+    // what the handler wrote is in the file by the time run finishes
+    return capture_run(function() { return trollopjs.run(["--out", output, "write"], spec); }).then(function(res) {
+      assert.equal(0, res.code);
+      assert.equal(2000, fs.readFileSync(output, "utf8").split("\n").length - 1);
+
+      // and close says when it has closed
+      var out = new trollopjs.Parser([spec]).parse(["--out", output, "write"])['out'];
+      out.stream.write("closing\n");
+      var called = false;
+      return out.close(function() { called = true; }).then(function() {
+        assert.equal("closing\n", fs.readFileSync(output, "utf8"));
+        return out.close();
+      }).then(function() {
+        assert.ok(called);
+      });
+    }).then(cleanup, function(err) {
+      cleanup();
+      throw err;
+    });
+  },
+
+  "test_run_cancelled_by_sigint": function() {
+    var listeners = process.listeners('SIGINT').length;
+    var stopped = false;
+    return capture_run(function() {
+      var done = trollopjs.run(["serve"], function() {
+        this.command('serve', "Serve", null, function(vals, leftovers, cancellation) {
+          return new Promise(function(resolve, reject) {
+            var timer = setInterval(function() { }, 1000);
+            cancellation.on_cancel(function() {
+              clearInterval(timer);
+              stopped = true;
+              reject(new Error("stopped"));
+            });
+          });
+        });
+      });
+      setTimeout(function() { process.emit('SIGINT'); }, 5);
+      return done;
+    }).then(function(res) {
+      assert.ok(stopped);
+      assert.equal(130, res.code);
+      assert.equal("", res.stderr.data);
+      assert.equal(listeners, process.listeners('SIGINT').length);
+    });
+  },
+
+  "test_errors_are_structured": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('num', "desc", {type: 'int'} );
+    p.opt('name', "desc", {type: String} );
+    p.opt('req', "desc", {required: true} );
+
+    var err = null;
+    try { p.parse("--req --nmu 3".split(/\s/)); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.UnknownOptionError);
+    assert.ok(err instanceof trollopjs.CommandLineError);
+    assert.ok(err instanceof Error);
+    assert.equal("--nmu", err.arg);
+    assert.equal("--nmu", err.token);
+    assert.equal(1, err.index);
+
+    err = null;
+    try { p.parse("--req --num x".split(/\s/)); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.InvalidValueError);
+    assert.equal("num", err.option);
+    assert.equal("--num", err.arg);
+    assert.equal("x", err.token);
+    assert.equal(2, err.index);
+    assert.equal("int", err.expected);
+    assert.equal("option '--num' needs an integer", err.message);
+
+    err = null;
+    try { p.parse("--num=x --req".split(/\s/)); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.InvalidValueError);
+    assert.equal(0, err.index);
+
+    err = null;
+    try { p.parse("--req --name".split(/\s/)); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.MissingParameterError);
+    assert.equal("name", err.option);
+    assert.equal(1, err.index);
+    assert.equal("string", err.expected);
+
+    err = null;
+    try { p.parse("--num 3".split(/\s/)); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.ConstraintViolationError);
+    assert.equal("required", err.constraint);
+    assert.equal("req", err.option);
+
+    assert.throws(function() { p.parse("-h".split(/\s/)); }, trollopjs.HelpNeeded);
+    assert.throws(function() { p.opt('num'); }, trollopjs.SpecError);
+    assert.throws(function() { p.opt('other', "desc", {type: 'asdf'}); }, trollopjs.SpecError);
+  },
+
+  "test_constraint_errors_name_both_options": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('one');
+    p.opt('two');
+    p.opt('three');
+    p.conflicts('one', 'two');
+    p.depends('one', 'three');
+
+    var err = null;
+    try { p.parse("--one --three --two".split(/\s/)); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.ConstraintViolationError);
+    assert.equal("conflicts", err.constraint);
+    assert.equal("one", err.option);
+    assert.equal("two", err.related);
+    assert.equal(2, err.index);
+
+    err = null;
+    try { p.parse("--one".split(/\s/)); } catch(e) { err = e; }
+    assert.ok(err instanceof trollopjs.ConstraintViolationError);
+    assert.equal("depends", err.constraint);
+    assert.equal("three", err.related);
+  },
+
+  "test_options_reports_commandline_errors": function() {
+    var res = capture_exit(function() {
+      return trollopjs.options(["--nmu", "3"], function() {
+        this.opt('num', "desc", {type: 'int'});
+      });
+    });
+    assert.equal(null, res.value);
+    assert.equal(1, res.code);
+    assert.equal("Error: unknown argument '--nmu'. Did you mean --num?\nTry --help for help.\n", res.stderr.data);
+    assert.equal("", res.stdout.data);
+
+    trollopjs.error_exit_code = 2;
+    res = capture_exit(function() {
+      return trollopjs.options(["--num", "x"], function() {
+        this.opt('num', "desc", {type: 'int'});
+      });
+    });
+    trollopjs.error_exit_code = 1;
+    assert.equal(2, res.code);
+    assert.ok(res.stderr.data.match(/^Error: option '--num' needs an integer\.\n/));
+  },
+
+  "test_options_reports_unknown_options_without_suggestions": function() {
+    var res = capture_exit(function() {
+      return trollopjs.options(["--xyzzy"], function() {
+        this.opt('num', "desc", {type: 'int'});
+        this.opt('name', "desc", {type: 'string'});
+      });
+    });
+    assert.equal("Error: unknown argument '--xyzzy'.\nTry --help for help.\n", res.stderr.data);
+
+    res = capture_exit(function() {
+      return trollopjs.options(["--nume"], function() {
+        this.opt('num', "desc", {type: 'int'});
+        this.opt('nums', "desc", {type: 'ints'});
+        this.opt('name', "desc", {type: 'string'});
+      });
+    });
+    assert.equal("Error: unknown argument '--nume'. Did you mean --num, --nums or --name?\nTry --help for help.\n", res.stderr.data);
+  },
+
+  "test_options_prints_version": function() {
+    var res = capture_exit(function() {
+      return trollopjs.options(["--version"], function() {
+        this.version("test 1.0");
+      });
+    });
+    assert.equal(0, res.code);
+    assert.equal("test 1.0\n", res.stdout.data);
+  },
+
+  "test_options_rethrows_spec_errors": function() {
+    assert.throws(function() {
+      capture_exit(function() {
+        trollopjs.options([], function() {
+          this.opt('num', "desc", {type: 'asdf'});
+        });
+      });
+    }, trollopjs.SpecError);
+  },
+
+  "test_width_detection": function() {
+    var saved_tty = process.stdout.isTTY;
+    var saved_columns = process.stdout.columns;
+    var saved_env = process.env.COLUMNS;
+    var widths = [];
+
+    try {
+      process.stdout.isTTY = true;
+      process.stdout.columns = 120;
+      process.env.COLUMNS = "100";
+      widths.push(new trollopjs.Parser().width());
+
+      process.stdout.isTTY = false;
+      widths.push(new trollopjs.Parser().width());
+
+      process.env.COLUMNS = "wide";
+      widths.push(new trollopjs.Parser().width());
+
+      delete process.env.COLUMNS;
+      widths.push(new trollopjs.Parser().width());
+
+      var p = new trollopjs.Parser();
+      p.width(42);
+      widths.push(p.width());
+    }
+    finally {
+      process.stdout.isTTY = saved_tty;
+      process.stdout.columns = saved_columns;
+      if( typeof saved_env == 'undefined' ) {
+        delete process.env.COLUMNS;
+      }
+      else {
+        process.env.COLUMNS = saved_env;
+      }
+    }
+
+    assert.deepEqual([120, 100, 80, 80, 42], widths);
+  },
+
+  "test_help_layout": function() {
+    var p = new trollopjs.Parser();
+
+    p.width(50);
+    p.opt('monkey', "Use monkey mode");
+    p.opt('num_limbs', "Number of limbs that the creature is expected to have", {dflt: 4});
+    p.parse([]);
+    assert.deepEqual([
+      "Options:",
+      "         --monkey, -m:   Use monkey mode",
+      "  --num-limbs, -n <i>:   Number of limbs that the",
+      "                         creature is expected to",
+      "                         have (default: 4)",
+      "           --help, -h:   Show this message"], help_lines(p));
+  },
+
+  "test_educate_writes_to_any_stream": function() {
+    var p = new trollopjs.Parser();
+
+    p.opt('monkey', "Use monkey mode");
+    var sio = string_stream();
+    p.educate(sio);
+    assert.equal(p.helpText(), sio.data);
+
+    var res = capture_exit(function() {
+      trollopjs.options(["--help"], function() {
+        this.opt('monkey', "Use monkey mode");
+      });
+    });
+    assert.equal(0, res.code);
+    assert.ok(res.stdout.data.match(/--monkey, -m:\s+Use monkey mode/));
+  },
+
+  "test_die": function() {
+    var res = capture_exit(function() {
+      var opts = trollopjs.options(["--volume", "11"], function() {
+        this.opt('volume', "Volume level", {dflt: 3});
+      });
+      assert.equal(11, opts['volume']);
+      trollopjs.die('volume', "must be no greater than 10");
+    });
+    assert.equal(1, res.code);
+    assert.equal("Error: argument --volume must be no greater than 10.\nTry --help for help.\n", res.stderr.data);
+
+    res = capture_exit(function() {
+      trollopjs.die("something went wrong!");
+    });
+    assert.equal("Error: something went wrong!\nTry --help for help.\n", res.stderr.data);
+
+    assert.throws(function() {
+      capture_exit(function() { trollopjs.die('nonexistent', "is bad"); });
+    }, trollopjs.SpecError);
+  },
 };
 
-for( var name in tests ) {
-  sys.puts(name);
-  tests[name]();
+// A test that returns a promise is waited for before the next one runs.
+var run_tests = function(names) {
+  if( names.length < 1 ) {
+    return;
+  }
+  sys.puts(names[0]);
+  Promise.resolve().then(tests[names[0]]).then(function() {
+    run_tests(names.slice(1));
+  }, function(err) {
+    sys.puts(err.stack || err);
+    process.exit(1);
+  });
 };
+run_tests(Object.keys(tests));